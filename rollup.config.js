@@ -4,7 +4,7 @@ export default {
 	external: [
 		'fs'
 	],
-	input: 'src/ScoreHeap.js',
+	input: 'src/index.js',
 	output: {
 		exports: 'auto',
 		file: 'lib/index.js',
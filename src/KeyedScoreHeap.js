@@ -0,0 +1,357 @@
+import ScoreHeap from './ScoreHeap';
+import { ScoreHeapIndexError } from './errors';
+
+/**
+ * A ScoreHeap for arbitrary keys (strings, numbers or objects) instead of dense indices.
+ * Each key is assigned a slot (an index in the underlying heap), slots of removed keys are recycled so indices stay dense.
+ * Keys are compared like Map keys, so objects are matched by identity.
+ */
+export default class KeyedScoreHeap {
+
+	// slot by key
+	slots = new Map();
+
+	// key by slot
+	slotKeys = [];
+
+	// slots of removed keys, reused before new ones
+	freeSlots = [];
+
+	// keys evicted by the current write (see the capacity option)
+	evictedKeys = [];
+
+	/**
+	 * Number of keys in the heap.
+	 *
+	 * @type {number}
+	 */
+	get size() {
+		return this.heap.size;
+	}
+
+	/**
+	 * @constructs KeyedScoreHeap
+	 *
+	 * @param {Iterable<Array<*, number>>} [keyScores] - An iterable of [key, score] (or [key, score, tiebreak]) to build the heap from, such as a Map of scores (the last score of a repeated key is kept)
+	 * @param {Object} [options] - Heap options (see ScoreHeap), past capacity the initial keys with the lowest scores are dropped
+	 */
+	constructor(keyScores = [], options = {}) {
+
+		let scores = [];
+		let tiebreaks = [];
+
+		for (let [key, score, tiebreak = 0] of keyScores) {
+
+			let slot = this.slots.get(key);
+
+			if (slot == null) {
+				slot = this.slotKeys.length;
+
+				this.slots.set(key, slot);
+				this.slotKeys.push(key);
+			}
+
+			scores[slot] = score;
+			tiebreaks[slot] = tiebreak;
+		}
+
+		// slots are implicit (keys were assigned in order)
+		this.heap = new ScoreHeap({
+			scores: Float64Array.from(scores),
+			tiebreaks: options.tiebreaks ? Float64Array.from(tiebreaks) : undefined
+		}, 0, options);
+
+		// release the slots of evicted keys (the heap reports them once each write is complete)
+		if (options.capacity) {
+
+			this.releaseMissing(this.slotKeys);
+
+			this.heap.on('evict', (slot) => {
+
+				let key = this.slotKeys[slot];
+
+				this.evictedKeys.push(key);
+				this.releaseSlot(key, slot);
+			});
+		}
+	}
+
+	/**
+	 * Get the highest scoring key (lowest if the heap is ascending).
+	 *
+	 * @returns {*} Key with the highest score in the heap, else undefined if the heap is empty
+	 */
+	next() {
+		return this.keyOf(this.heap.next());
+	}
+
+	/**
+	 * Get the lowest scoring key (highest if the heap is ascending), the opposite end of next().
+	 *
+	 * @returns {*} Key with the lowest score in the heap, else undefined if the heap is empty
+	 */
+	nextMin() {
+		return this.keyOf(this.heap.nextMin());
+	}
+
+	/**
+	 * Remove and return the highest scoring key (lowest if the heap is ascending).
+	 *
+	 * @returns {*} Key with the highest score in the heap, else undefined if the heap is empty
+	 */
+	pop() {
+
+		let key = this.next();
+
+		if (key !== undefined) {
+			this.remove(key);
+		}
+
+		return key;
+	}
+
+	/**
+	 * Remove and return the lowest scoring key (highest if the heap is ascending).
+	 *
+	 * @returns {*} Key with the lowest score in the heap, else undefined if the heap is empty
+	 */
+	popMin() {
+
+		let key = this.nextMin();
+
+		if (key !== undefined) {
+			this.remove(key);
+		}
+
+		return key;
+	}
+
+	/**
+	 * Update a key in the heap (key does not have to be in the heap yet).
+	 *
+	 * @param {*} key - Key to update (or insert)
+	 * @param {number} score - Score of the key (must be an int32 unless scoreType is 'float64')
+	 * @param {number} [tiebreak=0] - Secondary score ordering equal scores (only if tiebreaks are enabled)
+	 *
+	 * @returns {*} The key evicted to stay within capacity (the key passed in if it was rejected), else undefined
+	 */
+	update(key, score, tiebreak = 0) {
+		try {
+			this.heap.update(this.assignSlot(key), score, tiebreak);
+		} catch (error) {
+			this.releaseMissing([key]);
+			throw error;
+		}
+
+		return this.takeEvicted()[0];
+	}
+
+	/**
+	 * Add to the score of a key (see ScoreHeap.adjust()).
+	 *
+	 * @param {*} key - Key to adjust (or insert)
+	 * @param {number} delta - Amount to add to the score
+	 *
+	 * @returns {number} The new score
+	 */
+	adjust(key, delta) {
+
+		let score;
+
+		try {
+			score = this.heap.adjust(this.assignSlot(key), delta);
+		} catch (error) {
+			this.releaseMissing([key]);
+			throw error;
+		}
+
+		this.takeEvicted();
+
+		return score;
+	}
+
+	/**
+	 * Adjust many keys at once (see ScoreHeap.adjustMany()).
+	 *
+	 * @param {Array<*>} keys - Keys to adjust (or insert), the deltas of a repeated key add up
+	 * @param {(Int32Array|Float64Array|Array<number>)} deltas - Amount to add to the score of each key
+	 *
+	 * @returns {Array<*>} Keys evicted to stay within capacity (see ScoreHeap.updateMany())
+	 */
+	adjustMany(keys, deltas) {
+		try {
+			this.heap.adjustMany(Int32Array.from(keys, (key) => this.assignSlot(key)), deltas);
+		} catch (error) {
+			this.releaseMissing(keys);
+			throw error;
+		}
+
+		return this.takeEvicted();
+	}
+
+	/**
+	 * Add to every score at once (see ScoreHeap.addToAll()).
+	 *
+	 * @param {number} delta - Amount to add to every score
+	 *
+	 * @returns {number} The amount added (less than delta if clamped)
+	 */
+	addToAll(delta) {
+		return this.heap.addToAll(delta);
+	}
+
+	/**
+	 * Remove a key from the heap (in strict mode, throws a ScoreHeap.IndexError if the key is not in the heap, with the key as its index).
+	 *
+	 * @param {*} key - Key to remove
+	 *
+	 * @returns {*} The key passed in if successful, else undefined
+	 */
+	remove(key) {
+
+		let slot = this.slots.get(key);
+
+		if (this.heap.strict && slot == null) {
+			throw new ScoreHeapIndexError(`Key is not in the score heap: ${String(key)}`, key);
+		}
+
+		if (slot != null) {
+
+			this.heap.remove(slot);
+			this.releaseSlot(key, slot);
+
+			return key;
+		}
+	}
+
+	/**
+	 * Check if a key is in the heap.
+	 *
+	 * @param {*} key - Key to check
+	 *
+	 * @returns {boolean} True if the key is in the heap
+	 */
+	has(key) {
+		return this.slots.has(key);
+	}
+
+	/**
+	 * Get the score of a key.
+	 *
+	 * @param {*} key - Key to get the score of
+	 *
+	 * @returns {(number|undefined)} Score of the key, else undefined if not in the heap
+	 */
+	getScore(key) {
+
+		let slot = this.slots.get(key);
+
+		return slot != null ? this.heap.getScore(slot) : undefined;
+	}
+
+	/**
+	 * Remove every key from the heap.
+	 */
+	clear() {
+
+		this.slots.clear();
+		this.slotKeys = [];
+		this.freeSlots = [];
+
+		this.heap.clear();
+	}
+
+	/**
+	 * Call a function for each key in heap order, like Map.forEach() (see [Symbol.iterator]).
+	 *
+	 * @param {function(number, *, KeyedScoreHeap)} callback - Function of (score, key, heap)
+	 * @param {*} [thisArg] - Value of this in the callback
+	 */
+	forEach(callback, thisArg) {
+		for (let [key, score] of this.entries()) {
+			callback.call(thisArg, score, key, this);
+		}
+	}
+
+	/**
+	 * Iterate the heap in order (highest score first, lowest if the heap is ascending) without modifying it.
+	 * Throws if the heap is updated or removed from while iterating.
+	 *
+	 * @returns {Iterator<Array<*, number>>} Iterator of [key, score]
+	 */
+	[Symbol.iterator]() {
+		return this.entries();
+	}
+
+	/**
+	 * Iterate [key, score] in heap order (see [Symbol.iterator]).
+	 *
+	 * @returns {Iterator<Array<*, number>>} Iterator of [key, score]
+	 */
+	*entries() {
+		for (let [slot, score] of this.heap.entries()) {
+			yield [this.slotKeys[slot], score];
+		}
+	}
+
+	/**
+	 * Iterate keys in heap order (see [Symbol.iterator]).
+	 *
+	 * @returns {Iterator<*>} Iterator of keys
+	 */
+	*keys() {
+		for (let slot of this.heap.keys()) {
+			yield this.slotKeys[slot];
+		}
+	}
+
+	/* internal */
+
+	// slot of a key, assigning a free slot (else a new one) if it has none
+	assignSlot(key) {
+
+		let slot = this.slots.get(key);
+
+		if (slot == null) {
+
+			slot = this.freeSlots.length ? this.freeSlots.pop() : this.slotKeys.length;
+
+			this.slots.set(key, slot);
+			this.slotKeys[slot] = key;
+		}
+
+		return slot;
+	}
+
+	releaseSlot(key, slot) {
+		this.slots.delete(key);
+		this.slotKeys[slot] = undefined;
+		this.freeSlots.push(slot);
+	}
+
+	// release slots assigned to keys the heap rejected (invalid scores or an overflow)
+	releaseMissing(keys) {
+		for (let key of keys) {
+
+			let slot = this.slots.get(key);
+
+			if (slot != null && !this.heap.has(slot)) {
+				this.releaseSlot(key, slot);
+			}
+		}
+	}
+
+	// keys evicted since the last call
+	takeEvicted() {
+
+		let { evictedKeys } = this;
+
+		this.evictedKeys = [];
+
+		return evictedKeys;
+	}
+
+	keyOf(slot) {
+		return slot != null ? this.slotKeys[slot] : undefined;
+	}
+}
\ No newline at end of file
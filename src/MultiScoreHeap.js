@@ -0,0 +1,445 @@
+import ScoreHeap from './ScoreHeap';
+
+// ScoreHeap methods that change a queue, which must go through the container
+const WRITES = new Set(['pop', 'popMin', 'popTop', 'remove', 'update', 'adjust', 'addToAll', 'updateMany', 'adjustMany', 'removeMany', 'clear', 'compact']);
+
+/**
+ * Named queues over one index space, each a ScoreHeap sharing the same scores, tiebreaks and lookups.
+ * An index belongs to at most one queue, so its lookup is only ever read by the partitions of that queue.
+ * Updates go through the container (it tracks which queue holds each index and grows the shared arrays for every queue at once).
+ */
+export default class MultiScoreHeap {
+
+	/**
+	 * @constructs MultiScoreHeap
+	 *
+	 * @param {Array<string>} queues - Names of the queues
+	 * @param {number} [maxLength] - The initial length of the underlying (unpassed) source array (grows automatically when exceeded)
+	 * @param {Object} [options] - Heap options for every queue (see ScoreHeap, shared memory, decay and capacity are not supported)
+	 */
+	constructor(queues, maxLength = 0, options = {}) {
+
+		if (!queues.length) {
+			throw new Error('ScoreHeap.Multi needs at least one queue');
+		}
+
+		if (options.shared) {
+			throw new Error('ScoreHeap.Multi does not support shared memory');
+		}
+
+		// each queue would keep its own clock
+		if (options.decay) {
+			throw new Error('ScoreHeap.Multi does not support decay');
+		}
+
+		// an evicted index would still belong to its queue
+		if (options.capacity != null && options.capacity != Infinity) {
+			throw new Error('ScoreHeap.Multi does not support capacity');
+		}
+
+		this.names = [...queues];
+		this.queueIds = new Map(this.names.map((name, i) => [name, i]));
+
+		if (this.queueIds.size != this.names.length) {
+			throw new Error('Duplicate score heap queue name');
+		}
+
+		// queues are validated together (each only holds part of the lookups)
+		this.debug = options.debug ?? false;
+		this.strict = options.strict ?? false;
+
+		// the first queue allocates the arrays the others share
+		this.heaps = this.names.map((name, i) => new ScoreHeap([], i ? 0 : maxLength, { ...options, debug: false }));
+
+		// queue by index (-1 if in no queue)
+		this.memberships = new Int32Array(this.heaps[0].scores.length);
+		this.memberships.fill(-1);
+
+		this.shareArrays();
+
+		// queues are handed out read-only (a write to one queue could clobber the lookups or scores of another)
+		this.readOnlyHeaps = this.heaps.map((heap, i) => new Proxy(heap, {
+			get: (heap, key) => {
+
+				if (WRITES.has(key)) {
+					return () => {
+						throw new Error(`ScoreHeap.Multi queues are read-only, ${key}() must go through the container (queue ${this.names[i]})`);
+					};
+				}
+
+				let value = heap[key];
+
+				return typeof value == 'function' ? value.bind(heap) : value;
+			}
+		}));
+	}
+
+	/**
+	 * Number of indices in every queue.
+	 *
+	 * @type {number}
+	 */
+	get size() {
+
+		let size = 0;
+
+		for (let heap of this.heaps) {
+			size += heap.size;
+		}
+
+		return size;
+	}
+
+	/**
+	 * Get a read-only queue (next(), rank(), at(), range(), iteration and so on), its write methods throw as updates must go through the container.
+	 *
+	 * @param {string} queue - Name of the queue
+	 *
+	 * @returns {ScoreHeap} The queue
+	 */
+	queue(queue) {
+		return this.readOnlyHeaps[this.queueId(queue)];
+	}
+
+	/**
+	 * Get the queue holding an index.
+	 *
+	 * @param {number} index - Index to find
+	 *
+	 * @returns {(string|undefined)} Name of the queue, else undefined if the index is in no queue
+	 */
+	queueOf(index) {
+		return this.has(index) ? this.names[this.memberships[index]] : undefined;
+	}
+
+	/**
+	 * Check if an index is in any queue.
+	 *
+	 * @param {number} index - Index to check
+	 *
+	 * @returns {boolean} True if the index is in a queue
+	 */
+	has(index) {
+
+		if (this.strict) {
+			this.heaps[0].checkIndex(index);
+		}
+
+		return index >= 0 && index < this.memberships.length && this.memberships[index] >= 0;
+	}
+
+	/**
+	 * Get the score of an index.
+	 *
+	 * @param {number} index - Index to get the score of
+	 *
+	 * @returns {(number|undefined)} Score of the index, else undefined if in no queue
+	 */
+	getScore(index) {
+		return this.has(index) ? this.heaps[this.memberships[index]].getScore(index) : undefined;
+	}
+
+	/**
+	 * Get the highest scoring index of a queue (lowest if ascending).
+	 *
+	 * @param {string} queue - Name of the queue
+	 *
+	 * @returns {(number|undefined)} Index with the highest score in the queue, else undefined if it is empty
+	 */
+	next(queue) {
+		return this.heaps[this.queueId(queue)].next();
+	}
+
+	/**
+	 * Remove and return the highest scoring index of a queue (lowest if ascending).
+	 *
+	 * @param {string} queue - Name of the queue
+	 *
+	 * @returns {(number|undefined)} Index with the highest score in the queue, else undefined if it is empty
+	 */
+	pop(queue) {
+
+		let index = this.next(queue);
+
+		if (index != null) {
+			this.remove(index);
+		}
+
+		return index;
+	}
+
+	/**
+	 * Get the highest scoring index (lowest if ascending) across a set of queues, comparing only the top of each queue.
+	 * Equal scores (and tiebreaks) are ordered by index for the 'highest' and 'lowest' tie policies, else the first queue listed wins.
+	 *
+	 * @param {Array<string>} [queues] - Names of the queues (default every queue)
+	 *
+	 * @returns {(number|undefined)} Index with the highest score in the queues, else undefined if they are all empty
+	 */
+	nextAcross(queues = this.names) {
+
+		let next;
+
+		for (let queue of queues) {
+
+			let index = this.next(queue);
+
+			if (index != null && (next == null || this.compareIndices(index, next) > 0)) {
+				next = index;
+			}
+		}
+
+		return next;
+	}
+
+	/**
+	 * Remove and return the highest scoring index (lowest if ascending) across a set of queues (see nextAcross()).
+	 *
+	 * @param {Array<string>} [queues] - Names of the queues (default every queue)
+	 *
+	 * @returns {(number|undefined)} Index with the highest score in the queues, else undefined if they are all empty
+	 */
+	popAcross(queues = this.names) {
+
+		let index = this.nextAcross(queues);
+
+		if (index != null) {
+			this.remove(index);
+		}
+
+		return index;
+	}
+
+	/**
+	 * Update an index in a queue, moving it from any other queue (see ScoreHeap.update()).
+	 *
+	 * @param {string} queue - Name of the queue
+	 * @param {number} index - Index to update (or insert)
+	 * @param {number} score - Score of the index
+	 * @param {number} [tiebreak=0] - Secondary score ordering equal scores (only if tiebreaks are enabled)
+	 */
+	update(queue, index, score, tiebreak = 0) {
+
+		let queueId = this.queueId(queue);
+		let heap = this.heaps[queueId];
+
+		if (this.strict) {
+			heap.checkUpdate(index, score, tiebreak);
+		}
+
+		this.fit(index);
+
+		let currentQueueId = this.memberships[index];
+
+		if (currentQueueId >= 0 && currentQueueId != queueId) {
+			this.heaps[currentQueueId].remove(index);
+		}
+
+		this.memberships[index] = queueId;
+
+		heap.update(index, score, tiebreak);
+
+		if (this.debug) {
+			this.assertValid();
+		}
+	}
+
+	/**
+	 * Move an index to another queue, keeping its score and tiebreak (it counts as inserted into the queue, see the ties option).
+	 *
+	 * @param {number} index - Index to move
+	 * @param {string} queue - Name of the queue to move it to
+	 *
+	 * @returns {(number|undefined)} The index passed in if successful, else undefined if in no queue
+	 */
+	move(index, queue) {
+
+		if (this.strict) {
+			this.heaps[0].checkIndex(index, true);
+		}
+
+		if (this.has(index)) {
+
+			// scores are moved with the offset of their queue (see ScoreHeap.addToAll())
+			if (this.memberships[index] != this.queueId(queue)) {
+				this.update(queue, index, this.getScore(index), this.heaps[0].tiebreaks?.[index]);
+			}
+
+			return index;
+		}
+	}
+
+	/**
+	 * Remove an index from its queue.
+	 *
+	 * @param {number} index - Index to remove
+	 *
+	 * @returns {(number|undefined)} The index passed in if successful, else undefined
+	 */
+	remove(index) {
+
+		if (this.strict) {
+			this.heaps[0].checkIndex(index, true);
+		}
+
+		if (this.has(index)) {
+
+			this.heaps[this.memberships[index]].remove(index);
+			this.memberships[index] = -1;
+
+			if (this.debug) {
+				this.assertValid();
+			}
+
+			return index;
+		}
+	}
+
+	/**
+	 * Add to every score of a queue at once (see ScoreHeap.addToAll()), other queues keep their scores.
+	 *
+	 * @param {string} queue - Name of the queue
+	 * @param {number} delta - Amount to add to every score of the queue (negative to subtract)
+	 *
+	 * @returns {number} The amount added (less than delta if clamped)
+	 */
+	addToAll(queue, delta) {
+
+		let shift = this.heaps[this.queueId(queue)].addToAll(delta);
+
+		if (this.debug) {
+			this.assertValid();
+		}
+
+		return shift;
+	}
+
+	/**
+	 * Remove every index from a queue.
+	 *
+	 * @param {string} queue - Name of the queue
+	 */
+	clear(queue) {
+
+		let heap = this.heaps[this.queueId(queue)];
+
+		// removed one by one, as the lookups of other queues are shared (see ScoreHeap.clear())
+		let indices = Int32Array.from(heap.keys());
+
+		heap.removeMany(indices);
+
+		for (let i = 0; i < indices.length; ++i) {
+			this.memberships[indices[i]] = -1;
+		}
+
+		if (this.debug) {
+			this.assertValid();
+		}
+	}
+
+	/**
+	 * Check every queue (see ScoreHeap.validate()) and that each index is held by the queue it belongs to.
+	 *
+	 * @returns {Array<Object>} Violations as { queue, type, partition, index, message }, empty if every queue is valid
+	 */
+	validate() {
+
+		let { heaps, memberships, names } = this;
+
+		let violations = [];
+		let size = 0;
+
+		for (let i = 0; i < heaps.length; ++i) {
+
+			// lookups hold every queue, so they are counted across queues below
+			for (let violation of heaps[i].validate()) {
+				if (violation.type != 'lookupCount') {
+					violations.push({ queue: names[i], ...violation });
+				}
+			}
+
+			for (let index of heaps[i].keys()) {
+				if (memberships[index] != i) {
+					violations.push({ queue: names[i], type: 'membership', partition: undefined, index, message: `Index ${index} is held by queue ${names[i]}, but belongs to ${names[memberships[index]]}` });
+				}
+			}
+
+			size += heaps[i].size;
+		}
+
+		let memberSize = 0;
+
+		for (let i = 0; i < memberships.length; ++i) {
+			if (memberships[i] >= 0) {
+				++memberSize;
+			}
+		}
+
+		if (memberSize != size) {
+			violations.push({ queue: undefined, type: 'membershipCount', partition: undefined, index: undefined, message: `Queues hold ${size} indices, but ${memberSize} belong to a queue` });
+		}
+
+		return violations;
+	}
+
+	/* internal */
+
+	queueId(queue) {
+
+		let queueId = this.queueIds.get(queue);
+
+		if (queueId == null) {
+			throw new Error(`Unknown score heap queue: ${queue}`);
+		}
+
+		return queueId;
+	}
+
+	// compare indices of any queues (see ScoreHeap.compareIndices()), each scored with the offset of its queue
+	compareIndices(index, otherIndex) {
+
+		let [heap] = this.heaps;
+		let { tiebreaks } = heap;
+
+		return heap.compareKeys(this.getScore(index), tiebreaks?.[index], this.getScore(otherIndex), tiebreaks?.[otherIndex]) || (heap.insertionTies ? 0 : heap.compareTie(index, otherIndex));
+	}
+
+	// grow the shared arrays of every queue to fit an index
+	fit(index) {
+		if (index >= this.memberships.length) {
+
+			this.heaps[0].grow(index);
+
+			let memberships = new Int32Array(this.heaps[0].scores.length);
+
+			memberships.fill(-1);
+			memberships.set(this.memberships);
+
+			this.memberships = memberships;
+
+			this.shareArrays();
+		}
+	}
+
+	// point every queue at the arrays of the first
+	shareArrays() {
+
+		let [{ lookups, scores, tiebreaks }] = this.heaps;
+
+		for (let heap of this.heaps) {
+			heap.scores = scores;
+			heap.tiebreaks = tiebreaks;
+			heap.lookups = lookups;
+		}
+	}
+
+	// throw on the first violation (debug mode)
+	assertValid() {
+
+		let violations = this.validate();
+
+		if (violations.length) {
+			throw new Error(`Invalid score heap queues (${violations.length} violations): ${violations[0].message}`);
+		}
+	}
+}
\ No newline at end of file
@@ -3,65 +3,87 @@ import { interleaveArrays, searchBinary } from './utility';
 /**
  * A fixed length array to handle scores within a dynamic range.
  * Cannot be resized, but can be joined or split.
+ * Indices are sorted in heap order, so min and max are the bottom and top scores (and tiebreaks).
  */
 export default class Partition {
 
+	get size() {
+		return this.length;
+	}
+
+	get min() {
+		return this.heap.scores[this.indices[0]];
+	}
+
+	get minTiebreak() {
+		return this.heap.tiebreaks?.[this.indices[0]];
+	}
+
 	get max() {
-		return this.indices.length ? this.lookups[this.indices[this.length - 1] * 3] : undefined;
+		return this.indices.length ? this.heap.scores[this.indices[this.length - 1]] : undefined;
+	}
+
+	get maxTiebreak() {
+		return this.heap.tiebreaks?.[this.indices[this.length - 1]];
 	}
 
-	constructor(id, lookups, indices, length) {
+	constructor(id, heap, indices, length) {
+
+		let { lookups } = heap;
 
 		this.id = id;
-		this.lookups = lookups;
+		this.heap = heap;
 		this.indices = indices;
 		this.length = length;
 
-		this.min = lookups[indices[0] * 3];
-
 		for (let i = 0; i < length; ++i) {
 
-			let index = indices[i] * 3;
+			let index = indices[i] * 2;
 
 			// set id and clear out partition index
-			lookups[index + 1] = id;
-			lookups[index + 2] = -1;
+			lookups[index] = id;
+			lookups[index + 1] = -1;
 		}
 	}
 
-	insert(index, score, partitionIndex) {
-		
-		this.lookups[(index * 3) + 1] = this.id;
+	// score (and tiebreak) of the index must be set before insertion
+	insert(index, partitionIndex) {
+
+		let { heap, indices } = this;
+
+		let score = heap.scores[index];
+		let tiebreak = heap.tiebreaks?.[index];
+
+		heap.lookups[index * 2] = this.id;
 
 		partitionIndex = partitionIndex ?? searchBinary(this.length, (i) => {
-			return score - this.lookups[this.indices[i] * 3] || index - this.indices[i];
+			return heap.compare(score, tiebreak, index, indices[i]);
 		});
 
 		this.reindex(null, partitionIndex, index);
 		++this.length;
 
-		if (partitionIndex == 0) {
-			this.min = score;
-		}
+		heap.resize(this, 1);
 	}
 
 	join(partition) {
 		if (partition.length + this.length <= this.indices.length) {
 
-			let { id, indices, length, lookups } = this;
+			let { heap, id, indices, length } = this;
+			let { lookups } = heap;
 
 			let partitionIndices = partition.indices.subarray(0, partition.length);
 
 			for (let i = 0; i < partitionIndices.length; ++i) {
-				lookups[(partitionIndices[i] * 3) + 1] = id;
-				lookups[(partitionIndices[i] * 3) + 2] = -1;
+				lookups[partitionIndices[i] * 2] = id;
+				lookups[(partitionIndices[i] * 2) + 1] = -1;
 			}
 
 			this.indices = interleaveArrays(
 				new Int32Array(this.indices.length),
 				indices.subarray(0, length),
 				partitionIndices,
-				(a, b) => lookups[partitionIndices[b] * 3] - lookups[indices[a] * 3] || partitionIndices[b] - indices[a]
+				(a, b) => heap.compareIndices(partitionIndices[b], indices[a])
 			);
 
 			this.length += partition.length;
@@ -71,19 +93,97 @@ export default class Partition {
 		}
 	}
 
+	// merge indices sorted in heap order (they must fit, and their scores must be set)
+	merge(mergeIndices) {
+
+		let { heap, id, indices } = this;
+		let { lookups, scores, tiebreaks } = heap;
+
+		// fill from the top down
+		for (let i = this.length - 1, j = this.length + mergeIndices.length - 1, k = mergeIndices.length - 1; k >= 0; --j) {
+
+			let index = mergeIndices[k];
+
+			if (i >= 0 && heap.compare(scores[index], tiebreaks?.[index], index, indices[i]) < 0) {
+				indices[j] = indices[i--];
+
+			} else {
+
+				indices[j] = index;
+
+				lookups[index * 2] = id;
+				lookups[(index * 2) + 1] = -1;
+
+				--k;
+			}
+		}
+
+		this.length += mergeIndices.length;
+
+		heap.resize(this, mergeIndices.length);
+	}
+
 	next() {
 		return this.length ? this.indices[this.length - 1] : undefined;
 	}
 
-	remove(index) {
+	nextMin() {
+		return this.length ? this.indices[0] : undefined;
+	}
 
-		let { indices, lookups, length } = this;
+	// compare an index with a score and tiebreak to the bottom (or top) index
+	compareMin(score, tiebreak, index) {
+		return this.heap.compare(score, tiebreak, index, this.indices[0]);
+	}
 
-		let score = lookups[index * 3];
+	compareMax(score, tiebreak, index) {
+		return this.heap.compare(score, tiebreak, index, this.indices[this.length - 1]);
+	}
 
-		let partitionIndex = searchBinary(length, (i) => {
-			return score - lookups[indices[i] * 3] || index - indices[i];
-		});
+	// index at a rank counted down from the top
+	at(rank) {
+		return this.indices[this.length - 1 - rank];
+	}
+
+	// number of indices above an index
+	rank(index) {
+		return this.length - 1 - this.indexOf(index);
+	}
+
+	// remove up to count indices from the top into result, returns the number removed
+	popTop(count, result, offset) {
+
+		let { heap, indices, length } = this;
+		let { lookups } = heap;
+
+		count = Math.min(count, length);
+
+		for (let i = 0; i < count; ++i) {
+
+			let index = indices[length - 1 - i];
+
+			result[offset + i] = index;
+			lookups[index * 2] = -1;
+		}
+
+		this.length -= count;
+
+		heap.resize(this, -count);
+
+		return count;
+	}
+
+	*keys() {
+		for (let i = this.length - 1; i >= 0; --i) {
+			yield this.indices[i];
+		}
+	}
+
+	remove(index) {
+
+		let { heap, length } = this;
+
+		let partitionIndex = this.indexOf(index);
 
 		// removing from the end does not need a reindex, but before does
 		if (partitionIndex < length - 1) {
@@ -92,7 +192,9 @@ export default class Partition {
 
 		--this.length;
 
-		lookups[(index * 3) + 1] = -1;
+		heap.resize(this, -1);
+
+		heap.lookups[index * 2] = -1;
 
 		return index;
 	}
@@ -108,51 +210,76 @@ export default class Partition {
 	}
 
 
-	update(index, score) {
+	// score (and tiebreak) of the index must be set after the update
+	update(index, score, tiebreak) {
 
-		let { indices, lookups, length } = this;
+		let { heap, indices, length } = this;
+		let { scores, tiebreaks } = heap;
 
-		let currentScore = lookups[index * 3];
+		let currentScore = scores[index];
+		let currentTiebreak = tiebreaks?.[index];
 
 		// nothing to be done if score has not changed
-		if (score != currentScore) {
+		if (heap.compareKeys(score, tiebreak, currentScore, currentTiebreak) != 0) {
 
-			let currentPartitionIndex = searchBinary(length, (i) => {
-				return currentScore - lookups[indices[i] * 3] || index - indices[i];
-			});
+			let currentPartitionIndex = this.indexOf(index);
 
 			// reindex if order has changed
 			if (
-				(currentPartitionIndex > 0 && score <= lookups[indices[currentPartitionIndex - 1] * 3]) ||
-				(currentPartitionIndex < length - 1 && score >= lookups[indices[currentPartitionIndex + 1] * 3])
+				(currentPartitionIndex > 0 && heap.compare(score, tiebreak, index, indices[currentPartitionIndex - 1]) < 0) ||
+				(currentPartitionIndex < length - 1 && heap.compare(score, tiebreak, index, indices[currentPartitionIndex + 1]) > 0)
 			) {
 				
 				let partitionIndex = Math.min(length - 1, searchBinary(length, (i) => {
-					return score - lookups[indices[i] * 3] || index - indices[i];
+					return heap.compare(score, tiebreak, index, indices[i]);
 				}));
 	
-				if (currentPartitionIndex < partitionIndex && partitionIndex > 0 && (score - lookups[indices[partitionIndex] * 3] || index - indices[partitionIndex]) < 0) {
+				if (currentPartitionIndex < partitionIndex && partitionIndex > 0 && heap.compare(score, tiebreak, index, indices[partitionIndex]) < 0) {
 					partitionIndex--;
 				}
 
 				if (currentPartitionIndex != partitionIndex) {
 					this.reindex(currentPartitionIndex, partitionIndex, index);
 				}
+			}
+		}
+	}
 
-				if (partitionIndex == 0) {
-					this.min = score;
-				} else if (currentPartitionIndex == 0) {
-					this.min = this.lookups[this.indices[0] * 3];
-				}
+	// internal
+
+	// drop indices whose lookups were cleared (batch removal)
+	compact() {
 
-			// else just update min score if needed
-			} else if (currentPartitionIndex == 0) {
-				this.min = score;
+		let { heap, id, indices, length } = this;
+
+		let compactLength = 0;
+
+		for (let i = 0; i < length; ++i) {
+			if (heap.lookups[indices[i] * 2] == id) {
+				indices[compactLength++] = indices[i];
 			}
 		}
+
+		this.length = compactLength;
+
+		heap.resize(this, compactLength - length);
 	}
 
-	// internal
+	// position of an index (ties ordered by insertion only compare equal, so the index is scanned for from the bottom of its run)
+	indexOf(index) {
+
+		let { heap, indices } = this;
+
+		let partitionIndex = searchBinary(this.length, (i) => {
+			return heap.compareIndices(indices[i], index) < 0 ? 1 : -1;
+		});
+
+		while (indices[partitionIndex] != index) {
+			++partitionIndex;
+		}
+
+		return partitionIndex;
+	}
 
 	reindex(removeIndex, insertIndex, index) {
 
@@ -0,0 +1,87 @@
+/**
+ * A binary indexed (Fenwick) tree of partition sizes.
+ * Counts the indices below a partition and finds the partition holding the nth index in log time.
+ * Rebuilt lazily after partitions are added or removed, otherwise updated in place.
+ */
+export default class PrefixCounts {
+
+	tree = new Int32Array(1);
+	length = 0;
+	total = 0;
+
+	valid = false;
+
+	add(partitionIndex, delta) {
+		if (this.valid) {
+
+			let { tree, length } = this;
+
+			for (let i = partitionIndex + 1; i <= length; i += i & -i) {
+				tree[i] += delta;
+			}
+
+			this.total += delta;
+		}
+	}
+
+	build(partitions) {
+
+		let length = partitions.length;
+		let tree = this.tree.length > length ? this.tree : new Int32Array(2 ** Math.ceil(Math.log2(length + 1)));
+
+		tree.fill(0);
+
+		this.total = 0;
+
+		for (let i = 1; i <= length; ++i) {
+
+			tree[i] += partitions[i - 1].size;
+			this.total += partitions[i - 1].size;
+
+			let parent = i + (i & -i);
+
+			if (parent <= length) {
+				tree[parent] += tree[i];
+			}
+		}
+
+		this.tree = tree;
+		this.length = length;
+		this.valid = true;
+	}
+
+	invalidate() {
+		this.valid = false;
+	}
+
+	// returns [partitionIndex, offset] for the nth index counting up from the bottom
+	search(n) {
+
+		let { tree, length } = this;
+
+		let partitionIndex = 0;
+
+		for (let step = 2 ** Math.floor(Math.log2(length)); step; step >>= 1) {
+			if (partitionIndex + step <= length && tree[partitionIndex + step] <= n) {
+				partitionIndex += step;
+				n -= tree[partitionIndex];
+			}
+		}
+
+		return [partitionIndex, n];
+	}
+
+	// number of indices in partitions before partitionIndex
+	sum(partitionIndex) {
+
+		let { tree } = this;
+
+		let sum = 0;
+
+		for (let i = partitionIndex; i > 0; i -= i & -i) {
+			sum += tree[i];
+		}
+
+		return sum;
+	}
+}
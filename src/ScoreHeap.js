@@ -1,332 +1,2447 @@
-import { searchBinary } from './utility';
+import { hashWords, interleaveArrays, radixKeys, searchBinary, sortRadix } from './utility';
 
 import Partition from './Partition';
+import PrefixCounts from './PrefixCounts';
+import { ScoreHeapIndexError, ScoreHeapScoreError } from './errors';
+import ScoreHeapView, { SHARED_GENERATION, SHARED_HEADER_LENGTH, SHARED_SEQUENCE, SHARED_TOP } from './ScoreHeapView';
 import UniformPartition from './UniformPartition';
 
 const MIN_SECTOR_LENGTH =     32;
 const TARGET_SECTOR_LENGTH =  1024;
 const MAX_SECTOR_LENGTH =     4096;
 
+const TIE_POLICIES = ['lifo', 'fifo', 'highest', 'lowest'];
+const OVERFLOW_POLICIES = ['throw', 'saturate', 'wrap'];
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = (2 ** 31) - 1;
+
+// int32 heaps fold the score offset into stored scores past this, so stored scores stay in range
+const REBASE_OFFSET = 2 ** 30;
+
+// changes between fragmentation checks (if a compact threshold is set)
+const COMPACT_INTERVAL = 4096;
+
+// serialized header: magic, version, flags, ties, length, partitionLength, nextId, partition count, checksum (of the words before it and the body), (unused)
+const SERIAL_MAGIC =          0x50454853;
+const SERIAL_VERSION =        2;
+const SERIAL_HEADER_LENGTH =  10;
+
+const SERIAL_ASCENDING =      1;
+const SERIAL_FLOAT64 =        2;
+const SERIAL_TIEBREAKS =      4;
+const SERIAL_FLAGS =          SERIAL_ASCENDING | SERIAL_FLOAT64 | SERIAL_TIEBREAKS;
+
 /**
  * A heap optimized for frequent updates.
  * Maintains a sorted list with partitions so only items within a modified partition need to be reindexed.
- * Returns the highest score (int32) in the heap, else null if the heap is empty.
+ * Returns the highest score (int32, or float64 if configured) in the heap, else null if the heap is empty.
+ * Can be constructed in ascending order to return the lowest score instead.
+ *
+ * Partitions are kept in heap order: the last partition holds the next index.
+ * Descending heaps order by score (then tiebreak), ascending heaps use the reverse, equal scores follow the tie policy either way.
  */
 export default class ScoreHeap {
 
-	partitions = [];
-	partitionIds = {};
+	// read-only view of a shared heap for other threads
+	static View = ScoreHeapView;
+
+	// errors thrown for invalid indices and scores (see the strict option)
+	static IndexError = ScoreHeapIndexError;
+	static ScoreError = ScoreHeapScoreError;
+
+	partitions = [];
+	partitionIds = {};
+
+	// partition sizes for rank queries
+	counts = new PrefixCounts();
+
+	nextId = 0;
+
+	// number of indices in the heap
+	indexCount = 0;
+
+	// added to every stored score (see addToAll())
+	offset = 0;
+
+	// incremented on every change so iterators can detect modification
+	version = 0;
+
+	// version at the last fragmentation check
+	compactVersion = 0;
+
+	// cumulative operation counts (see stats()), updateCases counts the numbered insertion cases of update() (0 is an insert into an empty heap)
+	counters = {
+		splits: 0,
+		joins: 0,
+		partitionInserts: 0,
+		uniformConversions: 0,
+		compactions: 0,
+		internalUpdates: 0,
+		updateCases: new Array(11).fill(0)
+	};
+
+	// listeners by event (see on())
+	listeners = {
+		topchange: [],
+		empty: [],
+		evict: []
+	};
+
+	// [index, score] of indices evicted by the current write (only kept for evict listeners)
+	evictions = [];
+
+	/**
+	 * Number of indices in the heap.
+	 * 
+	 * @type {number}
+	 */
+	get size() {
+		return this.indexCount;
+	}
+
+	/**
+	 * @constructs ScoreHeap
+	 * 
+	 * @param {(Array<Array<number, number>>|Int32Array|Float64Array|Object)} indexScores - An array of [index, score] (or [index, score, tiebreak]) to build the heap from (score must be an int32 unless scoreType is 'float64'), a typed array of scores by index, or parallel typed arrays { indices, scores, tiebreaks }
+	 * @param {number} [maxLength] - The initial length of the underlying (unpassed) source array (grows automatically when exceeded)
+	 * @param {Object} [options] - Heap options
+	 * @param {string} [options.order='descending'] - Either 'descending' (next is the highest score) or 'ascending' (next is the lowest score)
+	 * @param {(number|function(number, number): number)} [options.growth=2] - Factor (at least 1) to grow the length by when an index exceeds it, or a function of (length, index) returning the new length as an integer
+	 * @param {string} [options.scoreType='int32'] - Either 'int32' or 'float64' (NaN orders below every other score, -0 equals 0)
+	 * @param {boolean} [options.tiebreaks=false] - Keep a float64 tiebreak per index that orders equal scores (in the same direction as scores)
+	 * @param {string} [options.ties='lifo'] - Order of indices with equal scores (and tiebreaks): 'lifo' (last inserted first), 'fifo' (first inserted first), 'highest' or 'lowest' (index first)
+	 * @param {boolean} [options.shared=false] - Keep scores and lookups (not partitions) in shared memory so other threads can read them through a ScoreHeap.View
+	 * @param {number} [options.compactThreshold=0] - Compact automatically once the fragmentation (see fragmentation()) exceeds this, between 0 and 1 (0 never compacts)
+	 * @param {string} [options.overflow='throw'] - What adjust() does when an int32 score overflows: 'throw' (a ScoreHeap.ScoreError), 'saturate' (clamp to the int32 range) or 'wrap' (two's complement)
+	 * @param {number} [options.baseScore=0] - Score adjust() starts from for an index not in the heap
+	 * @param {number} [options.capacity=Infinity] - Most indices to keep, inserting past it evicts the lowest scoring index (highest if ascending, see update())
+	 * @param {number} [options.decay=0] - Amount every score decreases by per unit of the clock (applied through the score offset, see addToAll(), not supported with shared memory)
+	 * @param {function(): number} [options.clock=Date.now] - Clock for decay
+	 * @param {boolean} [options.strict=false] - Check indices and scores passed to every method, throwing a ScoreHeap.IndexError or ScoreHeap.ScoreError (both RangeErrors) if invalid, or if an index to remove is not in the heap
+	 * @param {boolean} [options.debug=false] - Validate the heap after every change, throwing an error on the first violation (slow, see validate())
+	 */
+	constructor(indexScores, maxLength = 0, options = {}) {
+
+		let { order = 'descending', growth = 2, scoreType = 'int32', tiebreaks = false, ties = 'lifo', shared = false, compactThreshold = 0, overflow = 'throw', baseScore = 0, capacity = Infinity, decay = 0, clock = Date.now, strict = false, debug = false } = options;
+
+		if (order != 'descending' && order != 'ascending') {
+			throw new Error(`Unknown score heap order: ${order}`);
+		}
+
+		if (scoreType != 'int32' && scoreType != 'float64') {
+			throw new Error(`Unknown score heap score type: ${scoreType}`);
+		}
+
+		if (!TIE_POLICIES.includes(ties)) {
+			throw new Error(`Unknown score heap tie policy: ${ties}`);
+		}
+
+		if (!OVERFLOW_POLICIES.includes(overflow)) {
+			throw new Error(`Unknown score heap overflow policy: ${overflow}`);
+		}
+
+		if (!(typeof growth == 'function' || (typeof growth == 'number' && growth >= 1 && growth < Infinity))) {
+			throw new Error(`Invalid score heap growth: ${growth}`);
+		}
+
+		if (!(capacity == Infinity || (Number.isInteger(capacity) && capacity > 0))) {
+			throw new Error(`Invalid score heap capacity: ${capacity}`);
+		}
+
+		if (!(decay >= 0 && decay < Infinity)) {
+			throw new Error(`Invalid score heap decay: ${decay}`);
+		}
+
+		// views only see the offset as of the last write, not decay since
+		if (shared && decay) {
+			throw new Error('Score heap decay is not supported with shared memory');
+		}
+
+		if (!(compactThreshold >= 0 && compactThreshold < 1)) {
+			throw new Error(`Invalid score heap compact threshold: ${compactThreshold}`);
+		}
+
+		this.ascending = order == 'ascending';
+		this.growth = growth;
+		this.ties = ties;
+		this.compactThreshold = compactThreshold;
+		this.overflow = overflow;
+		this.baseScore = baseScore;
+		this.capacity = capacity;
+		this.strict = strict;
+		this.debug = debug;
+
+		// clock time decay was last applied at
+		this.decay = decay;
+		this.clock = clock;
+		this.clockTime = decay ? clock() : 0;
+
+		// int32 scores must be integers in range (checked in strict mode)
+		this.int32 = scoreType == 'int32';
+
+		// uniform partitions keep indices in insertion order, so they are only used when ties are ordered by insertion
+		this.insertionTies = ties == 'lifo' || ties == 'fifo';
+
+		// sequence, top index and generation for shared readers (if shared)
+		this.shared = shared;
+		this.header = shared ? this.allocate(Int32Array, SHARED_HEADER_LENGTH) : undefined;
+		this.sharedOffset = shared ? this.allocate(Float64Array, 1) : undefined;
+
+		// input as [[index, score, tiebreak], ...], scores only (indices are implicit), or parallel arrays { indices, scores, tiebreaks }
+		let input = ArrayBuffer.isView(indexScores) ? { scores: indexScores } : Array.isArray(indexScores) ? {
+			indices: Int32Array.from(indexScores, (indexScore) => indexScore[0]),
+			scores: Float64Array.from(indexScores, (indexScore) => indexScore[1]),
+			tiebreaks: tiebreaks ? Float64Array.from(indexScores, (indexScore) => indexScore[2] ?? 0) : undefined
+		} : indexScores;
+
+		let length = input.scores.length;
+		let inputIndices = input.indices;
+
+		// check the input as passed (typed arrays convert invalid values)
+		if (strict) {
+			for (let i = 0; i < length; ++i) {
+
+				let pair = Array.isArray(indexScores) ? indexScores[i] : undefined;
+
+				this.checkIndex(pair ? pair[0] : inputIndices ? inputIndices[i] : i);
+				this.checkScore(pair ? pair[1] : input.scores[i]);
+
+				if (tiebreaks) {
+					this.checkScore(pair ? pair[2] ?? 0 : input.tiebreaks?.[i] ?? 0, false);
+				}
+			}
+		}
+
+		// fit every initial index
+		if (inputIndices) {
+			for (let i = 0; i < length; ++i) {
+				maxLength = Math.max(maxLength, inputIndices[i] + 1);
+			}
+		} else {
+			maxLength = Math.max(maxLength, length);
+		}
+
+		// holds scores by index
+		this.scores = this.allocate(scoreType == 'float64' ? Float64Array : Int32Array, maxLength);
+
+		// holds secondary scores by index (if enabled)
+		this.tiebreaks = tiebreaks ? this.allocate(Float64Array, maxLength) : undefined;
+
+		// holds partition ids and partition indices (for uniform partitions only)
+		// parId1, parI1, parId2, ...
+		this.lookups = this.allocate(Int32Array, maxLength * 2);
+		this.lookups.fill(-1);
+
+		// update scores and tiebreaks
+		let indices = new Int32Array(length);
+
+		for (let i = 0; i < length; ++i) {
+
+			indices[i] = inputIndices ? inputIndices[i] : i;
+
+			// a repeated index would be held by two partitions (lookups are marked 0 until partitioned)
+			if (this.lookups[indices[i] * 2] === 0) {
+				throw new ScoreHeapIndexError(`Duplicate index in score heap input: ${indices[i]}`, indices[i]);
+			}
+
+			this.lookups[indices[i] * 2] = 0;
+
+			this.scores[indices[i]] = input.scores[i];
+
+			if (tiebreaks) {
+				this.tiebreaks[indices[i]] = input.tiebreaks?.[i] ?? 0;
+			}
+		}
+
+		// partition the best indices within capacity (sorted from the bottom up)
+		let sortedIndices = this.sortIndices(indices);
+
+		if (length > capacity) {
+
+			for (let i = 0; i < length - capacity; ++i) {
+				this.lookups[sortedIndices[i] * 2] = -1;
+			}
+
+			sortedIndices = sortedIndices.subarray(length - capacity);
+		}
+
+		this.buildSorted(sortedIndices);
+
+		// publish the top for shared readers
+		if (shared) {
+			this.header[SHARED_TOP] = this.next() ?? -1;
+		}
+
+		if (debug) {
+			this.assertValid();
+		}
+	}
+
+	/**
+	 * Get the highest scoring index (lowest if the heap is ascending).
+	 * 
+	 * @returns {number} Index with the highest score in the heap
+	 */
+	next() {
+		if (this.partitions.length) {
+
+			let next = this.partitions[this.partitions.length - 1].next();
+
+			// guard loop in if for performance
+			if (next == null) {
+
+				this.partitions.pop();
+
+				while (this.partitions.length && (next = this.partitions[this.partitions.length - 1].next()) == null) {
+					this.partitions.pop();
+				}
+			}
+
+			return next;
+		}
+	}
+
+	/**
+	 * Get the lowest scoring index (highest if the heap is ascending), the opposite end of next().
+	 * 
+	 * @returns {number} Index with the lowest score in the heap
+	 */
+	nextMin() {
+		if (this.partitions.length) {
+
+			let next = this.partitions[0].nextMin();
+
+			// guard loop in if for performance
+			if (next == null) {
+
+				let count = 1;
+
+				while (count < this.partitions.length && (next = this.partitions[count].nextMin()) == null) {
+					++count;
+				}
+
+				// remove empty partitions from the front
+				this.partitions.splice(0, count);
+				this.reindex(0);
+			}
+
+			return next;
+		}
+	}
+
+	/**
+	 * Remove and return the highest scoring index (lowest if the heap is ascending).
+	 * 
+	 * @returns {number} Index with the highest score in the heap
+	 */
+	pop() {
+
+		let index = this.next();
+
+		if (index != null) {
+			this.remove(index);
+		}
+
+		return index;
+	}
+
+	/**
+	 * Remove and return the lowest scoring index (highest if the heap is ascending).
+	 * 
+	 * @returns {number} Index with the lowest score in the heap
+	 */
+	popMin() {
+
+		let index = this.nextMin();
+
+		if (index != null) {
+			this.remove(index);
+		}
+
+		return index;
+	}
+
+	/**
+	 * Get the highest scoring indices (lowest if the heap is ascending) without removing them.
+	 * 
+	 * @param {number} k - Number of indices to get
+	 * 
+	 * @returns {Int32Array} Up to k indices in heap order
+	 */
+	peekTop(k) {
+
+		this.validateCounts();
+
+		let result = new Int32Array(Math.max(0, Math.min(k, this.counts.total)));
+
+		if (result.length) {
+
+			let i = 0;
+
+			for (let index of this.keys()) {
+
+				result[i++] = index;
+
+				if (i == result.length) {
+					break;
+				}
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Remove and return the highest scoring indices (lowest if the heap is ascending).
+	 * Whole partitions are dropped from the top at once.
+	 * 
+	 * @param {number} k - Number of indices to remove
+	 * 
+	 * @returns {Int32Array} Up to k removed indices in heap order
+	 */
+	popTop(k) {
+
+		let { partitions } = this;
+
+		this.validateCounts();
+
+		let result = new Int32Array(Math.max(0, Math.min(k, this.counts.total)));
+
+		++this.version;
+
+		this.indexCount -= result.length;
+
+		this.beginWrite();
+
+		for (let count = 0; count < result.length;) {
+
+			let partition = partitions[partitions.length - 1];
+
+			count += partition.popTop(result.length - count, result, count);
+
+			// drop emptied partitions (prefix counts stay valid as their sizes are 0)
+			if (!partition.size) {
+				partitions.pop();
+			}
+		}
+
+		this.endWrite();
+
+		return result;
+	}
+
+	/**
+	 * Remove an index from the heap.
+	 * 
+	 * @param {number} index - Index to remove
+	 * 
+	 * @return {(number|undefined)} The index passed in if successful, else undefined
+	 */
+	remove(index) {
+
+		if (this.strict) {
+			this.checkIndex(index, true);
+		}
+
+		if (this.partitions.length) {
+			
+			let partitionId = this.lookups[index * 2];
+
+			if (partitionId >= 0) {
+
+				++this.version;
+
+				this.beginWrite();
+
+				this.detach(index);
+
+				this.endWrite();
+
+				return index;
+			}
+		}
+	}
+
+	/**
+	 * Update an index in the heap (index does not have to be in the heap yet, and may be past the current length).
+	 * 
+	 * @param {number} index - Index to update (or insert)
+	 * @param {number} score - Score of the index (must be an int32 unless scoreType is 'float64')
+	 * @param {number} [tiebreak=0] - Secondary score ordering equal scores (only if tiebreaks are enabled)
+	 *
+	 * @returns {(number|undefined)} The index evicted to stay within capacity (the index passed in if it was rejected), else undefined
+	 */
+	update(index, score, tiebreak = 0) {
+
+		if (this.strict) {
+			this.checkUpdate(index, score, tiebreak);
+		}
+
+		this.beginWrite();
+
+		let evicted = this.guardWrite(this.updateWrite, index, score, tiebreak);
+
+		this.endWrite();
+
+		return evicted;
+	}
+
+	/**
+	 * Add to the score of an index (keeping its tiebreak), starting from the base score if it is not in the heap.
+	 * Adjustments within the bounds of the index's partition are made in place (see update()).
+	 * 
+	 * @param {number} index - Index to adjust (or insert)
+	 * @param {number} delta - Amount to add to the score (overflowing int32 scores follow the overflow policy)
+	 * 
+	 * @returns {number} The new score
+	 */
+	adjust(index, delta) {
+
+		if (this.strict) {
+			this.checkIndex(index);
+			this.checkScore(delta);
+		}
+
+		let present = this.has(index);
+		let score = this.adjustScore(present ? this.scores[index] + this.scoreOffset() : this.baseScore, delta);
+
+		this.update(index, score, present ? this.tiebreaks?.[index] : undefined);
+
+		return score;
+	}
+
+	/**
+	 * Add to every score at once through an offset, without moving any index (the order of scores does not change).
+	 * Int32 heaps throw if the highest or lowest score would leave the int32 range, unless the overflow policy is 'saturate' (which clamps delta).
+	 *
+	 * @param {number} delta - Amount to add to every score (negative to subtract)
+	 *
+	 * @returns {number} The amount added (less than delta if clamped)
+	 */
+	addToAll(delta) {
+
+		if (this.strict) {
+			this.checkScore(delta);
+		}
+
+		this.beginWrite();
+
+		let shift = this.clampShift(delta, this.offset);
+
+		if (shift == delta || this.overflow == 'saturate') {
+			this.shift(shift);
+		}
+
+		this.endWrite();
+
+		if (shift != delta && this.overflow != 'saturate') {
+			throw new ScoreHeapScoreError(`Score heap scores would overflow int32: ${delta}`, delta);
+		}
+
+		return shift;
+	}
+
+	/**
+	 * Update many indices at once (see update()), reorganizing partitions once for the whole batch.
+	 * Rebuilds the heap instead if the batch updates at least half of it.
+	 * 
+	 * @param {(Int32Array|Array<number>)} indices - Indices to update (or insert), the last update of a repeated index is used
+	 * @param {(Int32Array|Float64Array|Array<number>)} scores - Score of each index (must be an int32 unless scoreType is 'float64')
+	 * @param {Float64Array|Array<number>} [tiebreaks] - Tiebreak of each index (only if tiebreaks are enabled, default 0)
+	 *
+	 * @returns {Array<number>} Indices evicted to stay within capacity once the batch is applied, lowest first (may include indices of the batch)
+	 */
+	updateMany(indices, scores, tiebreaks) {
+
+		if (this.strict) {
+			for (let i = 0; i < indices.length; ++i) {
+				this.checkUpdate(indices[i], scores[i], tiebreaks?.[i] ?? 0);
+			}
+		}
+
+		this.beginWrite();
+
+		let evicted = this.guardWrite(this.updateManyWrite, indices, scores, tiebreaks);
+
+		this.endWrite();
+
+		return evicted;
+	}
+
+	/**
+	 * Adjust many indices at once (see adjust()), reorganizing partitions once for the whole batch (see updateMany()).
+	 * 
+	 * @param {(Int32Array|Array<number>)} indices - Indices to adjust (or insert), the deltas of a repeated index add up
+	 * @param {(Int32Array|Float64Array|Array<number>)} deltas - Amount to add to the score of each index
+	 *
+	 * @returns {Array<number>} Indices evicted to stay within capacity (see updateMany())
+	 */
+	adjustMany(indices, deltas) {
+
+		if (this.strict) {
+			for (let i = 0; i < indices.length; ++i) {
+				this.checkIndex(indices[i]);
+				this.checkScore(deltas[i]);
+			}
+		}
+
+		// adjusted score by index
+		let adjusted = new Map();
+		let offset = this.scoreOffset();
+
+		for (let i = 0; i < indices.length; ++i) {
+
+			let index = indices[i];
+			let score = adjusted.has(index) ? adjusted.get(index) : this.has(index) ? this.scores[index] + offset : this.baseScore;
+
+			adjusted.set(index, this.adjustScore(score, deltas[i]));
+		}
+
+		let adjustedIndices = Int32Array.from(adjusted.keys());
+
+		return this.updateMany(
+			adjustedIndices,
+			Float64Array.from(adjusted.values()),
+			this.tiebreaks ? Float64Array.from(adjustedIndices, (index) => this.has(index) ? this.tiebreaks[index] : 0) : undefined
+		);
+	}
+
+	/**
+	 * Remove many indices at once (see remove()), reorganizing partitions once for the whole batch.
+	 * 
+	 * @param {(Int32Array|Array<number>)} indices - Indices to remove
+	 * 
+	 * @returns {number} Number of indices removed
+	 */
+	removeMany(indices) {
+
+		if (this.strict) {
+			for (let i = 0; i < indices.length; ++i) {
+				this.checkIndex(indices[i]);
+			}
+		}
+
+		let { lookups, partitionIds, partitions } = this;
+
+		let count = 0;
+		let removed = new Set();
+
+		++this.version;
+
+		this.beginWrite();
+
+		for (let i = 0; i < indices.length; ++i) {
+
+			let index = indices[i];
+			let partitionId = index < this.scores.length ? lookups[index * 2] : -1;
+
+			if (partitionId >= 0) {
+
+				let partition = partitions[partitionIds[partitionId]];
+
+				// remove now, or mark to be removed from regular partitions once per partition
+				if (partition.uniform) {
+					partition.remove(index);
+				} else {
+					lookups[index * 2] = -1;
+					removed.add(partition);
+				}
+
+				++count;
+			}
+		}
+
+		for (let partition of removed) {
+			partition.compact();
+		}
+
+		this.indexCount -= count;
+
+		// drop emptied partitions
+		if (count) {
+			this.partitions = partitions.filter((partition) => partition.size);
+			this.reindex(0);
+		}
+
+		this.endWrite();
+
+		return count;
+	}
+
+	/**
+	 * Remove every index from the heap (the length of the underlying source array is kept).
+	 */
+	clear() {
+
+		++this.version;
+
+		this.beginWrite();
+
+		this.lookups.fill(-1);
+		this.buildSorted(new Int32Array(0));
+
+		this.endWrite();
+	}
+
+	/**
+	 * Rebuild partitions from the indices in the heap, so memory use matches the number of indices again.
+	 * Merges under-filled partitions and drops indices removed from uniform partitions, without sorting (order is kept, including ties).
+	 */
+	compact() {
+
+		++this.version;
+
+		++this.counters.compactions;
+
+		this.beginWrite();
+
+		this.buildSorted(this.liveIndices());
+
+		this.endWrite();
+	}
+
+	/**
+	 * Get the share of partition memory not holding an index, which grows as updates and removals leave partitions under-filled.
+	 * 
+	 * @returns {number} Fragmentation between 0 (every element holds an index) and 1
+	 */
+	fragmentation() {
+
+		let allocated = 0;
+		let size = 0;
+
+		for (let partition of this.partitions) {
+			allocated += partition.indices.length;
+			size += partition.size;
+		}
+
+		return allocated ? 1 - (size / allocated) : 0;
+	}
+
+	/**
+	 * Get structural statistics and cumulative operation counters, to see how partitions suit the data.
+	 * Frequent splits (update case 10) suggest partitions are too short for the workload, many under-filled partitions suggest compacting.
+	 * 
+	 * @returns {Object} Statistics as { size, partitions, regularPartitions, uniformPartitions, partitionLength, regularFill, uniformFill, tombstones, fragmentation, bytes, counters }
+	 */
+	stats() {
+
+		let { counters, partitions } = this;
+
+		let regularPartitions = 0;
+		let regularSize = 0;
+		let regularAllocated = 0;
+
+		let uniformPartitions = 0;
+		let uniformSize = 0;
+		let uniformAllocated = 0;
+
+		// removed indices still held by uniform partitions
+		let tombstones = 0;
+
+		let bytes = this.scores.byteLength + this.lookups.byteLength + (this.tiebreaks?.byteLength ?? 0) + this.counts.tree.byteLength;
+
+		for (let partition of partitions) {
+
+			if (partition.uniform) {
+
+				++uniformPartitions;
+
+				uniformSize += partition.size;
+				uniformAllocated += partition.indices.length;
+
+				tombstones += partition.length - partition.start - partition.size;
+
+			} else {
+
+				++regularPartitions;
+
+				regularSize += partition.size;
+				regularAllocated += partition.indices.length;
+			}
+
+			bytes += partition.indices.byteLength;
+		}
+
+		return {
+			size: regularSize + uniformSize,
+			partitions: partitions.length,
+			regularPartitions,
+			uniformPartitions,
+			partitionLength: this.partitionLength,
+			regularFill: regularAllocated ? regularSize / regularAllocated : 0,
+			uniformFill: uniformAllocated ? uniformSize / uniformAllocated : 0,
+			tombstones,
+			fragmentation: this.fragmentation(),
+			bytes,
+			counters: { ...counters, updateCases: counters.updateCases.slice() }
+		};
+	}
+
+	/**
+	 * Check every structural invariant: partition order, order within partitions, lookups, partition ids and uniform partition scores.
+	 * Takes linear time (lookups are scanned in full), so it is meant for debugging (see the debug option).
+	 * 
+	 * @returns {Array<Object>} Violations as { type, partition, index, message } (partition is a position in the heap, index may be undefined), empty if the heap is valid
+	 */
+	validate() {
+
+		let { lookups, partitionIds, partitions, scores, tiebreaks } = this;
+
+		let violations = [];
+		let size = 0;
+		let previousTop;
+
+		// ties ordered by insertion compare equal, others are strictly ordered (by a score difference, which may be under 1)
+		let below = (index, otherIndex) => {
+
+			let order = this.compareIndices(index, otherIndex);
+
+			return this.insertionTies ? order < 0 : order <= 0;
+		};
+
+		let report = (type, partition, index, message) => {
+
+			let where = [partition == null ? '' : `partition ${partition}`, index == null ? '' : `index ${index}`].filter(Boolean).join(', ');
+
+			violations.push({ type, partition, index, message: where ? `${message} (${where})` : message });
+		};
+
+		for (let p = 0; p < partitions.length; ++p) {
+
+			let partition = partitions[p];
+			let { indices, length } = partition;
+
+			let start = partition.uniform ? partition.start : 0;
+			let bottom;
+			let top;
+			let live = 0;
+
+			if (partitionIds[partition.id] !== p) {
+				report('partitionIds', p, undefined, `Partition id ${partition.id} maps to ${partitionIds[partition.id]}`);
+			}
+
+			if (start < 0 || start > length || length > indices.length) {
+				report('bounds', p, undefined, `Partition holds elements ${start} to ${length} of ${indices.length}`);
+				continue;
+			}
+
+			for (let i = start; i < length; ++i) {
+
+				let index = indices[i];
+
+				// uniform partitions mark removed indices -1
+				if (index < 0) {
+					if (!partition.uniform) {
+						report('removed', p, undefined, `Removed index at ${i} of a regular partition`);
+					}
+
+					continue;
+				}
+
+				if (lookups[index * 2] !== partition.id) {
+					report('lookupId', p, index, `Lookup id is ${lookups[index * 2]}, not ${partition.id}`);
+				}
+
+				if (partition.uniform) {
+
+					if (lookups[(index * 2) + 1] !== i) {
+						report('lookupPosition', p, index, `Lookup position is ${lookups[(index * 2) + 1]}, not ${i}`);
+					}
+
+					if (this.compareKeys(scores[index], tiebreaks?.[index], partition.min, partition.minTiebreak) != 0) {
+						report('uniform', p, index, `Score ${scores[index]} differs from the uniform score ${partition.min}`);
+					}
+
+				// regular partitions are in heap order
+				} else if (top != null && below(index, top)) {
+					report('order', p, index, `Index is out of order at ${i}`);
+				}
+
+				bottom = bottom ?? index;
+				top = index;
+
+				++live;
+			}
+
+			if (partition.uniform && live != partition.size) {
+				report('size', p, undefined, `Partition size is ${partition.size}, but holds ${live} indices`);
+			}
+
+			// the bottom of each partition is at or above the top of the one below
+			if (bottom != null) {
+
+				if (previousTop != null && below(bottom, previousTop)) {
+					report('partitionOrder', p, bottom, `Partition bottom is below the top of partition ${p - 1}`);
+				}
+
+				previousTop = top;
+			}
+
+			size += live;
+		}
+
+		// every index with a lookup id is in a partition (ids are checked above)
+		let lookupSize = 0;
+
+		for (let i = 0; i < lookups.length; i += 2) {
+			if (lookups[i] >= 0) {
+				++lookupSize;
+			}
+		}
+
+		if (lookupSize != size) {
+			report('lookupCount', undefined, undefined, `Lookups hold ${lookupSize} indices, but partitions hold ${size}`);
+		}
+
+		if (this.indexCount != size) {
+			report('indexCount', undefined, undefined, `Heap size is ${this.indexCount}, but partitions hold ${size}`);
+		}
+
+		return violations;
+	}
+
+	/**
+	 * Check if an index is in the heap.
+	 * 
+	 * @param {number} index - Index to check
+	 * 
+	 * @returns {boolean} True if the index is in the heap
+	 */
+	has(index) {
+
+		if (this.strict) {
+			this.checkIndex(index);
+		}
+
+		return index >= 0 && index < this.scores.length && this.lookups[index * 2] >= 0;
+	}
+
+	/**
+	 * Get the score of an index.
+	 * 
+	 * @param {number} index - Index to get the score of
+	 * 
+	 * @returns {(number|undefined)} Score of the index, else undefined if not in the heap
+	 */
+	getScore(index) {
+		return this.has(index) ? this.scores[index] + this.scoreOffset() : undefined;
+	}
+
+	/**
+	 * Call a function for each index in heap order, like Map.forEach() (see [Symbol.iterator]).
+	 * 
+	 * @param {function(number, number, ScoreHeap)} callback - Function of (score, index, heap)
+	 * @param {*} [thisArg] - Value of this in the callback
+	 */
+	forEach(callback, thisArg) {
+
+		let offset = this.scoreOffset();
+
+		for (let index of this.keys()) {
+			callback.call(thisArg, this.scores[index] + offset, index, this);
+		}
+	}
+
+	/**
+	 * Iterate the heap in order (highest score first, lowest if the heap is ascending) without modifying it.
+	 * Throws if the heap is updated or removed from (or addToAll() is called) while iterating.
+	 * 
+	 * @returns {Iterator<Array<number, number>>} Iterator of [index, score]
+	 */
+	[Symbol.iterator]() {
+		return this.entries();
+	}
+
+	/**
+	 * Iterate [index, score] entries in heap order.
+	 * 
+	 * @returns {Iterator<Array<number, number>>} Iterator of [index, score]
+	 */
+	*entries() {
+
+		let offset = this.scoreOffset();
+
+		for (let index of this.keys()) {
+			yield [index, this.scores[index] + offset];
+		}
+	}
+
+	/**
+	 * Iterate indices in heap order.
+	 * 
+	 * @returns {Iterator<number>} Iterator of indices
+	 */
+	*keys() {
+
+		let { version } = this;
+
+		for (let i = this.partitions.length - 1; i >= 0; --i) {
+
+			let partition = this.partitions[i];
+
+			for (let index of partition.keys()) {
+
+				yield index;
+
+				if (this.version != version) {
+					throw new Error('ScoreHeap was modified during iteration');
+				}
+			}
+
+			// empty partitions may have been removed by next() or nextMin() while iterating
+			i = this.partitionIds[partition.id];
+		}
+	}
+
+	/**
+	 * Get all indices with a score between lo and hi (inclusive) in heap order.
+	 * 
+	 * @param {number} lo - Lowest score in the range
+	 * @param {number} hi - Highest score in the range
+	 * 
+	 * @returns {Int32Array} Indices within the range
+	 */
+	range(lo, hi) {
+
+		let result = new Int32Array(this.countRange(lo, hi));
+		let i = 0;
+
+		this.searchRange(lo, hi, (partition, start, end) => {
+			for (let j = end - 1; j >= start; --j) {
+				if (partition.indices[j] >= 0) {
+					result[i++] = partition.indices[j];
+				}
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Count the indices with a score between lo and hi (inclusive).
+	 * 
+	 * @param {number} lo - Lowest score in the range
+	 * @param {number} hi - Highest score in the range
+	 * 
+	 * @returns {number} Number of indices within the range
+	 */
+	countRange(lo, hi) {
+
+		// range() counts first, so this checks its bounds too
+		if (this.strict) {
+			this.checkScore(lo);
+			this.checkScore(hi);
+		}
+
+		let count = 0;
+
+		this.searchRange(lo, hi, (partition, start, end) => {
+			count += partition.uniform ? partition.size : end - start;
+		});
+
+		return count;
+	}
+
+	/**
+	 * Get the rank of an index, the number of indices ahead of it in heap order (scoring higher, or lower if the heap is ascending).
+	 * 
+	 * @param {number} index - Index to rank
+	 * 
+	 * @returns {(number|undefined)} Rank of the index (0 for the next index), else undefined if not in the heap
+	 */
+	rank(index) {
+
+		if (this.strict) {
+			this.checkIndex(index, true);
+		}
+
+		let partitionId = this.lookups[index * 2];
+
+		if (partitionId >= 0) {
+
+			let { counts, partitions } = this;
+
+			let partitionIndex = this.partitionIds[partitionId];
+
+			this.validateCounts();
+
+			return counts.total - counts.sum(partitionIndex + 1) + partitions[partitionIndex].rank(index);
+		}
+	}
+
+	/**
+	 * Get the index at a rank in heap order (the inverse of rank()).
+	 * 
+	 * @param {number} rank - Rank to get the index of (0 for the next index)
+	 * 
+	 * @returns {(number|undefined)} Index at the rank, else undefined if the rank is out of bounds
+	 */
+	at(rank) {
+
+		let { counts, partitions } = this;
+
+		this.validateCounts();
+
+		if (rank >= 0 && rank < counts.total) {
+
+			let [partitionIndex, offset] = counts.search(counts.total - 1 - rank);
+			let partition = partitions[partitionIndex];
+
+			return partition.at(partition.size - 1 - offset);
+		}
+	}
+
+	/**
+	 * Get the index at a quantile of the scores (0 for the lowest score, 0.5 for the median, 1 for the highest score).
+	 * 
+	 * @param {number} q - Quantile between 0 and 1
+	 * 
+	 * @returns {(number|undefined)} Index at the quantile, else undefined if the heap is empty
+	 */
+	quantile(q) {
+
+		this.validateCounts();
+
+		let { total } = this.counts;
+
+		if (total) {
+
+			// position counted up from the lowest score
+			let position = Math.round(Math.min(1, Math.max(0, q)) * (total - 1));
+
+			return this.at(this.ascending ? position : total - 1 - position);
+		}
+	}
+
+	/**
+	 * Get the index at a percentile of the scores (see quantile()).
+	 * 
+	 * @param {number} p - Percentile between 0 and 100
+	 * 
+	 * @returns {(number|undefined)} Index at the percentile, else undefined if the heap is empty
+	 */
+	percentile(p) {
+		return this.quantile(p / 100);
+	}
+
+	/**
+	 * Write the heap to an ArrayBuffer (restore it with ScoreHeap.deserialize()).
+	 * Holds scores, tiebreaks, lookups and the partition layout, so restoring does not need to sort.
+	 * 
+	 * @returns {ArrayBuffer} Serialized heap with a version header and checksum
+	 */
+	serialize() {
+
+		let { lookups, scores, tiebreaks } = this;
+		let { length } = scores;
+
+		// empty partitions are skipped
+		let partitions = this.partitions.filter((partition) => partition.size);
+
+		let partitionsLength = 0;
+
+		for (let i = 0; i < partitions.length; ++i) {
+			partitionsLength += 3 + partitions[i].size;
+		}
+
+		// float64 sections first so they stay aligned
+		let tiebreaksOffset = SERIAL_HEADER_LENGTH * 4;
+		let scoresOffset = tiebreaksOffset + (tiebreaks ? length * 8 : 0);
+		let lookupsOffset = scoresOffset + (length * scores.BYTES_PER_ELEMENT);
+		let partitionsOffset = lookupsOffset + (length * 8);
+
+		let buffer = new ArrayBuffer(partitionsOffset + (partitionsLength * 4));
+
+		if (tiebreaks) {
+			new Float64Array(buffer, tiebreaksOffset, length).set(tiebreaks);
+		}
+
+		let serialScores = new scores.constructor(buffer, scoresOffset, length);
+		serialScores.set(scores);
+
+		// the offset is applied to scores (restored heaps have none)
+		let offset = this.scoreOffset();
+
+		if (offset) {
+			for (let i = 0; i < length; ++i) {
+				if (lookups[i * 2] >= 0) {
+					serialScores[i] += offset;
+				}
+			}
+		}
+
+		let serialLookups = new Int32Array(buffer, lookupsOffset, length * 2);
+		serialLookups.set(lookups);
+
+		// partitions as [uniform, id, size, ...indices] from the bottom up
+		let words = new Int32Array(buffer, partitionsOffset, partitionsLength);
+
+		for (let i = 0, j = 0; i < partitions.length; ++i) {
+
+			let partition = partitions[i];
+
+			words[j++] = partition.uniform ? 1 : 0;
+			words[j++] = partition.id;
+			words[j++] = partition.size;
+
+			// uniform partitions drop removed indices, so their lookup positions are rewritten
+			if (partition.uniform) {
+				for (let k = partition.start, position = 0; k < partition.length; ++k) {
+					if (partition.indices[k] >= 0) {
+						serialLookups[(partition.indices[k] * 2) + 1] = position++;
+						words[j++] = partition.indices[k];
+					}
+				}
+
+			} else {
+				words.set(partition.indices.subarray(0, partition.length), j);
+				j += partition.length;
+			}
+		}
+
+		let header = new Uint32Array(buffer, 0, SERIAL_HEADER_LENGTH);
+
+		header[0] = SERIAL_MAGIC;
+		header[1] = SERIAL_VERSION;
+		header[2] = (this.ascending ? SERIAL_ASCENDING : 0) | (scores instanceof Float64Array ? SERIAL_FLOAT64 : 0) | (tiebreaks ? SERIAL_TIEBREAKS : 0);
+		header[3] = TIE_POLICIES.indexOf(this.ties);
+		header[4] = length;
+		header[5] = this.partitionLength;
+		header[6] = this.nextId;
+		header[7] = partitions.length;
+		header[8] = hashWords(new Int32Array(buffer, tiebreaksOffset), hashWords(new Int32Array(buffer, 0, 8)));
+
+		return buffer;
+	}
+
+	/**
+	 * Restore a heap written by serialize().
+	 * Throws if the data is corrupt or was written by an incompatible version.
+	 * 
+	 * @param {(ArrayBuffer|ArrayBufferView)} data - Serialized heap (a Buffer or typed array is copied first)
+	 * @param {Object} [options] - Options that are not serialized, see the constructor (growth, compactThreshold, overflow, baseScore, capacity, decay, clock, strict and debug, but not shared)
+	 * 
+	 * @returns {ScoreHeap} Restored heap
+	 */
+	static deserialize(data, options = {}) {
+
+		if (options.shared) {
+			throw new Error('ScoreHeap.deserialize does not support shared memory');
+		}
+
+		let buffer = ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data;
+
+		if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < SERIAL_HEADER_LENGTH * 4 || buffer.byteLength % 4) {
+			throw new Error('Invalid score heap data');
+		}
+
+		let [magic, version, flags, ties, length, partitionLength, nextId, partitionCount, checksum] = new Uint32Array(buffer, 0, SERIAL_HEADER_LENGTH);
+
+		if (magic != SERIAL_MAGIC) {
+			throw new Error('Invalid score heap data');
+		}
+
+		if (version != SERIAL_VERSION) {
+			throw new Error(`Unsupported score heap data version: ${version}`);
+		}
+
+		if (hashWords(new Int32Array(buffer, SERIAL_HEADER_LENGTH * 4), hashWords(new Int32Array(buffer, 0, 8))) != checksum) {
+			throw new Error('Score heap data does not match its checksum');
+		}
+
+		if ((flags & ~SERIAL_FLAGS) || ties >= TIE_POLICIES.length || partitionLength < MIN_SECTOR_LENGTH || partitionLength > MAX_SECTOR_LENGTH) {
+			throw new Error('Invalid score heap data');
+		}
+
+		let heap = new ScoreHeap([], 0, {
+			...options,
+			order: flags & SERIAL_ASCENDING ? 'ascending' : 'descending',
+			scoreType: flags & SERIAL_FLOAT64 ? 'float64' : 'int32',
+			tiebreaks: !!(flags & SERIAL_TIEBREAKS),
+			ties: TIE_POLICIES[ties]
+		});
+
+		let tiebreaksOffset = SERIAL_HEADER_LENGTH * 4;
+		let scoresOffset = tiebreaksOffset + (heap.tiebreaks ? length * 8 : 0);
+		let lookupsOffset = scoresOffset + (length * heap.scores.BYTES_PER_ELEMENT);
+		let partitionsOffset = lookupsOffset + (length * 8);
+
+		if (partitionsOffset > buffer.byteLength) {
+			throw new Error('Invalid score heap data');
+		}
+
+		// copy out of the buffer
+		if (heap.tiebreaks) {
+			heap.tiebreaks = new Float64Array(buffer.slice(tiebreaksOffset, scoresOffset));
+		}
+
+		heap.scores = new heap.scores.constructor(buffer.slice(scoresOffset, lookupsOffset));
+		heap.lookups = new Int32Array(buffer.slice(lookupsOffset, partitionsOffset));
+
+		heap.partitionLength = partitionLength;
+		heap.nextId = nextId;
+
+		let words = new Int32Array(buffer, partitionsOffset);
+
+		for (let i = 0, j = 0; i < partitionCount; ++i) {
+
+			if (j + 3 > words.length) {
+				throw new Error('Invalid score heap data');
+			}
+
+			let uniform = words[j++];
+			let id = words[j++];
+			let size = words[j++];
+
+			// indices must be within the word section (and fit a regular partition)
+			if (!(size > 0 && j + size <= words.length && (uniform || size <= partitionLength))) {
+				throw new Error('Invalid score heap data');
+			}
+
+			let partitionIndices = words.slice(j, j + size);
+			j += size;
+
+			heap.partitionIds[id] = i;
+			heap.indexCount += size;
+
+			if (uniform) {
+				heap.partitions.push(new UniformPartition(id, heap, partitionIndices, size));
+
+			} else {
+
+				let indices = new Int32Array(partitionLength);
+				indices.set(partitionIndices);
+
+				heap.partitions.push(new Partition(id, heap, indices, size));
+			}
+		}
+
+		// keep the best indices within capacity (see the constructor)
+		if (heap.indexCount > heap.capacity) {
+
+			let liveIndices = heap.liveIndices();
+			let count = heap.indexCount - heap.capacity;
+
+			for (let i = 0; i < count; ++i) {
+				heap.lookups[liveIndices[i] * 2] = -1;
+			}
+
+			heap.buildSorted(liveIndices.subarray(count));
+		}
+
+		if (heap.debug) {
+			heap.assertValid();
+		}
+
+		return heap;
+	}
+
+	/**
+	 * Get the shared memory of a shared heap, to read from another thread with a ScoreHeap.View.
+	 * Get a new one whenever the heap grows, as growing reallocates the memory.
+	 * Partitions are not shared, views read the next index from the header (published by every write) instead.
+	 * 
+	 * @returns {Object} Shared memory (pass it to a worker with postMessage, then to new ScoreHeap.View())
+	 */
+	share() {
+
+		if (!this.shared) {
+			throw new Error('ScoreHeap was not constructed with shared memory');
+		}
+
+		return {
+			header: this.header,
+			scores: this.scores,
+			lookups: this.lookups,
+			generation: this.header[SHARED_GENERATION],
+			offset: this.sharedOffset
+		};
+	}
+
+	/**
+	 * Listen for changes to the top of the heap, checked once each update or removal is complete.
+	 * 'topchange' calls listener(index, score) when the next index or its score (or tiebreak) changes, index is undefined once the heap is empty.
+	 * 'empty' calls listener() when the last index is removed.
+	 * 'evict' calls listener(index, score) for each index evicted (or rejected) to stay within capacity, after any topchange.
+	 * An error thrown by a listener is rethrown once every listener has run (the heap is already updated).
+	 * 
+	 * @param {string} event - Either 'topchange', 'empty' or 'evict'
+	 * @param {function} listener - Function to call
+	 */
+	on(event, listener) {
+
+		if (!this.listeners[event]) {
+			throw new Error(`Unknown score heap event: ${event}`);
+		}
+
+		// start tracking the top with the first listener
+		if (!this.listeners.topchange.length && !this.listeners.empty.length) {
+			this.observeTop(this.next(), this.scoreOffset());
+		}
+
+		this.listeners[event].push(listener);
+	}
+
+	/**
+	 * Stop listening for changes to the top of the heap (or evictions).
+	 * 
+	 * @param {string} event - Either 'topchange', 'empty' or 'evict'
+	 * @param {function} listener - Function passed to on()
+	 */
+	off(event, listener) {
+
+		let listeners = this.listeners[event];
+		let i = listeners?.indexOf(listener) ?? -1;
+
+		if (i >= 0) {
+			listeners.splice(i, 1);
+		}
+	}
+
+	/* internal */
+
+	// allocate a typed array (in shared memory if the heap is shared)
+	allocate(ArrayType, length) {
+		return new ArrayType(this.shared ? new SharedArrayBuffer(length * ArrayType.BYTES_PER_ELEMENT) : length);
+	}
+
+	// shared readers retry while the sequence is odd, decay is applied to the offset by every write
+	beginWrite() {
+
+		// the clock is read first, as it may throw
+		let time = this.decay ? this.clock() : undefined;
+
+		if (this.shared) {
+			Atomics.add(this.header, SHARED_SEQUENCE, 1);
+		}
+
+		if (this.decay) {
+			this.applyClock(time);
+		}
+	}
+
+	// compact if fragmented, end the write, then validate and call listeners
+	endWrite() {
+
+		this.guardWrite(this.autoCompact);
+		this.closeWrite();
+
+		if (this.debug) {
+			this.assertValid();
+		}
+
+		this.notify();
+	}
+
+	// run the body of a write, ending it for shared readers if the body throws (non-shared writes skip the try)
+	guardWrite(body, a, b, c) {
+
+		if (!this.shared) {
+			return body.call(this, a, b, c);
+		}
+
+		try {
+			return body.call(this, a, b, c);
+		} catch (error) {
+			this.closeWrite();
+			throw error;
+		}
+	}
+
+	// publish the top for shared readers and close the write sequence
+	closeWrite() {
+		if (this.shared) {
+			Atomics.store(this.header, SHARED_TOP, this.next() ?? -1);
+			this.sharedOffset[0] = this.offset;
+			Atomics.add(this.header, SHARED_SEQUENCE, 1);
+		}
+	}
+
+	// compact if fragmented (checked every so many changes)
+	autoCompact() {
+		if (this.compactThreshold && this.version - this.compactVersion >= COMPACT_INTERVAL) {
+
+			this.compactVersion = this.version;
+
+			if (this.fragmentation() > this.compactThreshold) {
+
+				++this.version;
+				++this.counters.compactions;
+
+				this.buildSorted(this.liveIndices());
+			}
+		}
+	}
+
+	// call listeners if the top index or its score changed, then for evictions (after the write, so listeners can update the heap)
+	notify() {
+
+		let { empty, evict, topchange } = this.listeners;
+		let { evictions } = this;
+
+		if (!empty.length && !topchange.length && !evictions.length) {
+			return;
+		}
+
+		let top = this.next();
+		let topChanged = (empty.length || topchange.length) && !(top === this.top && (top == null || this.compareKeys(this.scores[top] + this.offset, this.tiebreaks?.[top], this.topScore, this.topTiebreak) == 0));
+
+		if (!topChanged && !evictions.length) {
+			return;
+		}
+
+		// a listener's own writes collect their evictions anew
+		this.evictions = [];
+
+		if (topChanged) {
+			this.observeTop(top, this.offset);
+		}
+
+		let error;
+
+		// copy listeners, as a listener may call off()
+		let call = (listeners, ...args) => {
+			for (let listener of listeners.slice()) {
+				try {
+					listener(...args);
+				} catch (listenerError) {
+					error = error ?? listenerError;
+				}
+			}
+		};
+
+		if (topChanged) {
+
+			call(topchange, top, this.topScore);
+
+			if (top == null) {
+				call(empty);
+			}
+		}
+
+		for (let [index, score] of evictions) {
+			call(evict, index, score);
+		}
+
+		if (error) {
+			throw error;
+		}
+	}
+
+	// update an index (within a write, see update())
+	updateWrite(index, score, tiebreak) {
+
+		// a full heap rejects a new index below its bottom index, else evicts the bottom index to make room (once the index fits)
+		let evicted = this.indexCount >= this.capacity && !this.has(index) ? this.nextMin() : undefined;
+
+		if (evicted != null && this.compare(score - this.offset, tiebreak, index, evicted) < 0) {
+
+			this.evict(index, score);
+
+			return index;
+		}
+
+		if (index >= this.scores.length) {
+			this.grow(index);
+		}
+
+		if (evicted != null) {
+			this.evict(evicted, this.scores[evicted] + this.offset);
+		}
+
+		// scores are stored without the offset
+		if (this.offset) {
+			score = this.storedScore(score);
+		}
+
+		let { lookups, partitions, partitionLength, partitionIds, scores, tiebreaks } = this;
+
+		// tiebreaks are ignored unless enabled
+		if (!tiebreaks) {
+			tiebreak = undefined;
+		}
+
+		++this.version;
+
+		let currentPartitionId = lookups[index * 2];
+		let currentPartitionIndex = currentPartitionId >= 0 ? partitionIds[currentPartitionId] : undefined;
+		let currentPartition = currentPartitionIndex != null ? partitions[currentPartitionIndex] : undefined;
+
+		if (!currentPartition) {
+			++this.indexCount;
+		}
+
+		// check if current partition can handle this internally (an unchanged score keeps its place among ties)
+		if (currentPartition && (
+			currentPartition.uniform ? (
+				this.compareKeys(currentPartition.min, currentPartition.minTiebreak, score, tiebreak) == 0
+			) : (
+				partitions.length == 1 || this.compareKeys(scores[index], tiebreaks?.[index], score, tiebreak) == 0 || (
+					currentPartition.compareMin(score, tiebreak, index) >= 0 && (
+						currentPartitionIndex == partitions.length - 1 ||
+						partitions[currentPartitionIndex + 1].compareMin(score, tiebreak, index) < 0
+					)
+				)
+			)
+		)) {
+
+			++this.counters.internalUpdates;
+
+			currentPartition.update(index, score, tiebreak);
+
+			// update score (must be done after update)
+			scores[index] = score;
+
+			if (tiebreaks) {
+				tiebreaks[index] = tiebreak;
+			}
+
+		// remove / add index
+		} else {
+
+			// remove
+			if (currentPartition) {
+
+				currentPartition.remove(index);
+
+				if (!currentPartition.length) {
+
+					partitions.splice(currentPartitionIndex, 1);
+					this.reindex(currentPartitionIndex);
+
+					// maybe join newly adjacent partitions
+					this.joinPartitions(currentPartitionIndex - 1);
+				}
+			}
+
+			// update score (must be done before insertion)
+			scores[index] = score;
+
+			if (tiebreaks) {
+				tiebreaks[index] = tiebreak;
+			}
+
+			// no partitions, add to new one
+			if (!partitions.length) {
+
+				let partitionIndices = new Int32Array(partitionLength);
+				partitionIndices[0] = index;
+
+				++this.counters.updateCases[0];
+
+				this.insertPartition(0, partitionIndices, 1);
+
+			// find new partition and remove / add
+			} else {
+
+				// find new partition
+				let partitionIndex = searchBinary(partitions.length, (i) => {
+
+					// index is above the partition min, prefer highest-ordered eligible partition
+					if (partitions[i].compareMin(score, tiebreak, index) > 0) {
+						if (i == partitions.length - 1 || partitions[i + 1].compareMin(score, tiebreak, index) < 0) {
+							return 0;
+						} else {
+							return 1;
+						}
+
+					// index is below, but already at first index
+					} else if (i == 0) {
+						return 0;
+				
+					// index is below partition min
+					} else {
+						return -1;
+					}
+				});
+
+				let partition = partitions[partitionIndex];
+
+				let lowerPartition = partitionIndex > 0 ? partitions[partitionIndex - 1] : undefined;
+				let upperPartition = partitionIndex < partitions.length - 1 ? partitions[partitionIndex + 1] : undefined;
+
+				let { updateCases } = this.counters;
+
+				// TODO : optimize the conditions below
+
+				// best case: uniform partition with matching score
+				if (partition.uniform && this.compareKeys(partition.min, partition.minTiebreak, score, tiebreak) == 0) {
+					++updateCases[1];
+					partition.insert(index);
+
+				// 2: upper partition is uniform with matching score (fifo only, lower partitions are never eligible as the index is above them)
+				} else if (upperPartition && upperPartition.uniform && this.compareKeys(upperPartition.min, upperPartition.minTiebreak, score, tiebreak) == 0 && partition.compareMax(score, tiebreak, index) > 0) {
+					++updateCases[2];
+					upperPartition.insert(index);
+
+				// 3: partition has room and index is at the end
+				} else if (!partition.uniform && partition.length < partitionLength && partition.compareMax(score, tiebreak, index) > 0) {
+					++updateCases[3];
+					partition.insert(index, partition.length);
+
+				// 4: lower partition has room and score at the end
+				} else if (false && (lowerPartition && !lowerPartition.uniform && lowerPartition.length < partitionLength && partition.compareMin(score, tiebreak, index) < 0)){
+					++updateCases[4];
+					lowerPartition.insert(index, lowerPartition.length);
+
+				// 5: partition is full or non-matching uniform, but upper partition can take the index
+				 } else if (
+					((partition.uniform || partition.length == partitionLength) && partition.compareMax(score, tiebreak, index) > 0) &&
+					(upperPartition && !upperPartition.uniform && upperPartition.length < partitionLength)
+				) {
+					++updateCases[5];
+					upperPartition.insert(index, 0);
+
+				// 6: partition is full (and cannot become uniform), but lower partition can take its bottom index
+				 } else if (
+					(!partition.uniform && partition.length == partitionLength) &&
+					(lowerPartition && !lowerPartition.uniform && lowerPartition.length < partitionLength) &&
+					!(this.insertionTies && this.compareKeys(score, tiebreak, partition.min, partition.minTiebreak) == 0 && this.compareKeys(partition.min, partition.minTiebreak, partition.max, partition.maxTiebreak) == 0)
+				) {
+
+					++updateCases[6];
+
+					let bottomIndex = partition.indices[0];
+
+					partition.remove(bottomIndex);
+					lowerPartition.insert(bottomIndex, lowerPartition.length);
+
+					partition.insert(index);
+
+				// 7: partition is uniform but ineligible, insert new partition
+				} else if (partition.uniform) {
+
+					let partitionIndices = new Int32Array(partitionLength);
+					partitionIndices[0] = index;
+
+					++updateCases[7];
+
+					this.insertPartition(partition.compareMin(score, tiebreak, index) > 0 ? partitionIndex + 1 : partitionIndex, partitionIndices, 1);
+
+				// 8: simple insert (TODO: find best insert case maybe)
+				} else if (partition.length < partitionLength) {
+					++updateCases[8];
+					partition.insert(index);
+
+				// 9: partition is full but can be converted to uniform partition
+				} else if (this.insertionTies && this.compareKeys(score, tiebreak, partition.min, partition.minTiebreak) == 0 && this.compareKeys(partition.min, partition.minTiebreak, partition.max, partition.maxTiebreak) == 0) {
+					++updateCases[9];
+					++this.counters.uniformConversions;
+
+					partitions[partitionIndex] = new UniformPartition(partition.id, this, partition.indices, partition.length);
+					partitions[partitionIndex].insert(index);
+
+				// 10: partition is full, split
+				} else {
+
+					++updateCases[10];
+					++this.counters.splits;
+
+					let newPartition = this.insertPartition(partitionIndex + 1, partition.split(), partitionLength / 2);
+
+					if (newPartition.compareMin(score, tiebreak, index) < 0) {
+						partition.insert(index);
+					} else {
+						newPartition.insert(index);
+					}
+				}
+			}
+		}
+
+		return evicted;
+	}
+
+	// update many indices (within a write, see updateMany())
+	updateManyWrite(indices, scores, tiebreaks) {
+
+		let maxIndex = -1;
+
+		for (let i = 0; i < indices.length; ++i) {
+			maxIndex = Math.max(maxIndex, indices[i]);
+		}
+
+		if (maxIndex >= this.scores.length) {
+			this.grow(maxIndex);
+		}
+
+		// scores are stored without the offset
+		if (this.offset) {
+			scores = this.storedScores(scores);
+		}
+
+		++this.version;
+
+		// last update of each index wins
+		let positions = new Map();
+
+		for (let i = 0; i < indices.length; ++i) {
+			positions.set(indices[i], i);
+		}
+
+		this.validateCounts();
+
+		let rebuild = positions.size * 2 >= this.counts.total;
+
+		let { lookups, partitionIds, partitions } = this;
+
+		let changed = [];
+		let removed = new Set();
+
+		for (let i = 0; i < indices.length; ++i) {
+
+			let index = indices[i];
+			let tiebreak = this.tiebreaks ? tiebreaks?.[i] ?? 0 : undefined;
+
+			if (positions.get(index) != i) {
+				continue;
+			}
+
+			let partitionId = lookups[index * 2];
+
+			if (partitionId >= 0) {
+
+				// an unchanged score keeps its place among ties
+				if (this.compareKeys(this.scores[index], this.tiebreaks?.[index], scores[i], tiebreak) == 0) {
+					continue;
+				}
+
+				// remove now, or mark to be removed from regular partitions once per partition
+				if (!rebuild) {
+
+					let partition = partitions[partitionIds[partitionId]];
+
+					if (partition.uniform) {
+						partition.remove(index);
+					} else {
+						lookups[index * 2] = -1;
+						removed.add(partition);
+					}
+				}
+
+			} else {
+				++this.indexCount;
+			}
+
+			this.scores[index] = scores[i];
+
+			if (this.tiebreaks) {
+				this.tiebreaks[index] = tiebreak;
+			}
+
+			changed.push(index);
+		}
+
+		// rebuild from every index in insertion order, changed indices last
+		if (rebuild) {
+
+			let changedIndices = new Set(changed);
+			let liveIndices = this.liveIndices().filter((index) => !changedIndices.has(index));
+
+			if (this.ties == 'fifo') {
+				liveIndices.reverse();
+			}
+
+			let allIndices = new Int32Array(liveIndices.length + changed.length);
+
+			allIndices.set(liveIndices);
+			allIndices.set(changed, liveIndices.length);
+
+			this.build(allIndices);
+
+		} else {
+
+			for (let partition of removed) {
+				partition.compact();
+			}
+
+			// drop emptied partitions, then add changed indices
+			if (changed.length) {
+
+				this.partitions = partitions.filter((partition) => partition.size);
+				this.reindex(0);
+
+				this.merge(Int32Array.from(changed));
+			}
+		}
+
+		let evicted = [];
+
+		// evict the bottom indices past capacity (rebuilding from the rest if evicting at least half)
+		if (this.indexCount > this.capacity) {
+
+			let count = this.indexCount - this.capacity;
+
+			if (count * 2 >= this.indexCount) {
+
+				let liveIndices = this.liveIndices();
+
+				for (let i = 0; i < count; ++i) {
+					this.lookups[liveIndices[i] * 2] = -1;
+					this.evict(liveIndices[i], this.scores[liveIndices[i]] + this.offset);
+					evicted.push(liveIndices[i]);
+				}
+
+				this.buildSorted(liveIndices.subarray(count));
+
+			} else {
+				for (let i = 0; i < count; ++i) {
+
+					let index = this.nextMin();
+
+					this.evict(index, this.scores[index] + this.offset);
+					evicted.push(index);
+				}
+			}
+		}
+
+		return evicted;
+	}
+
+	// remove an index from its partition (within a write)
+	detach(index) {
+
+		let partitionIndex = this.partitionIds[this.lookups[index * 2]];
+
+		this.partitions[partitionIndex].remove(index);
+
+		--this.indexCount;
+
+		if (!this.partitions[partitionIndex].length) {
+			this.partitions.splice(partitionIndex, 1);
+			this.reindex(partitionIndex);
+		}
+	}
+
+	// drop an index to stay within capacity (within a write), keeping its score for evict listeners
+	evict(index, score) {
+
+		if (this.has(index)) {
+			this.detach(index);
+		}
+
+		if (this.listeners.evict.length) {
+			this.evictions.push([index, score]);
+		}
+	}
+
+	// remember the top index, score and tiebreak to tell when they change
+	observeTop(top, offset) {
+		this.top = top;
+		this.topScore = top != null ? this.scores[top] + offset : undefined;
+		this.topTiebreak = top != null ? this.tiebreaks?.[top] : undefined;
+	}
+
+	// throw unless an index can be in the heap, and is if required (strict mode)
+	checkIndex(index, required = false) {
+
+		if (!(Number.isInteger(index) && index >= 0 && index <= INT32_MAX)) {
+			throw new ScoreHeapIndexError(`Invalid score heap index: ${index}`, index);
+		}
+
+		if (required && !(index < this.scores.length && this.lookups[index * 2] >= 0)) {
+			throw new ScoreHeapIndexError(`Index is not in the score heap: ${index}`, index);
+		}
+	}
+
+	// throw unless the heap can hold a score, int32 unless the heap is float64 (tiebreaks are always float64, strict mode)
+	checkScore(score, int32 = this.int32) {
+		if (typeof score != 'number' || (int32 && !(Number.isInteger(score) && score >= INT32_MIN && score <= INT32_MAX))) {
+			throw new ScoreHeapScoreError(`Invalid score heap ${int32 ? 'int32' : 'float64'} score: ${score}`, score);
+		}
+	}
+
+	checkUpdate(index, score, tiebreak) {
+
+		this.checkIndex(index);
+		this.checkScore(score);
+
+		if (this.tiebreaks) {
+			this.checkScore(tiebreak, false);
+		}
+	}
+
+	// offset from stored scores to scores, including decay not yet applied by a write
+	scoreOffset() {
+		return this.decay ? this.offset + this.clampShift(-this.decayed(this.clock()), this.offset) : this.offset;
+	}
+
+	// score units decayed since the clock was last applied (whole units for int32 heaps, the rest carries over)
+	decayed(time) {
+
+		let decayed = this.decay * (time - this.clockTime);
+
+		return this.int32 ? Math.floor(decayed) : decayed;
+	}
+
+	applyClock(time) {
+
+		let decayed = this.decayed(time);
+
+		if (decayed > 0) {
+			this.clockTime = this.int32 ? this.clockTime + (decayed / this.decay) : time;
+			this.shift(this.clampShift(-decayed, this.offset));
+		}
+	}
+
+	// clamp a change to every score so the highest and lowest scores (with the offset) stay within int32
+	clampShift(delta, offset) {
 
-	nextId = 0;
+		if (this.int32 && this.indexCount) {
 
-	/**
-	 * @constructs ScoreHeap
-	 * 
-	 * @param {Array<Array<number, number>>} indexScores - An array of [index, score] to build the heap from (score must be an int32)
-	 * @param {number} maxLength - The length of the underlying (unpassed) source array (must never expand beyond this value)
-	 */
-	constructor(indexScores, maxLength) {
+			let top = this.scores[this.next()] + offset;
+			let bottom = this.scores[this.nextMin()] + offset;
 
-		// holds scores, partition ids, and partition indices (for uniform partitions only)
-		// score1, parId1, parI1, score2, ...
-		this.lookups = new Int32Array(maxLength * 3);
-		this.lookups.fill(-1);
+			return Math.min(INT32_MAX - Math.max(top, bottom), Math.max(INT32_MIN - Math.min(top, bottom), delta));
+		}
 
-		// compute partition length
-		this.partitionLength = Math.min(
-			MAX_SECTOR_LENGTH,
-			Math.max(
-				MIN_SECTOR_LENGTH,
-				2 ** Math.floor(Math.log2(indexScores.length / TARGET_SECTOR_LENGTH))
-			)
-		);
+		return delta;
+	}
 
-		// sort (input index score format is [[i0Index, i0Score], ...]
-		indexScores.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+	// change every score through the offset (a change for iterators, int32 heaps rebase before stored scores could leave the int32 range)
+	shift(delta) {
 
-		// partition
-		for (let i = 0; i < indexScores.length;) {
+		++this.version;
 
-			let chunk = [];
+		this.offset += delta;
 
-			// fill chunk with indices and update lookup scores
-			for (let n = Math.min(indexScores.length, i + this.partitionLength); i < n; ++i) {
+		if (this.int32 && Math.abs(this.offset) > REBASE_OFFSET) {
+			this.rebase();
+		}
+	}
 
-				let [index, score] = indexScores[i];
+	// fold the offset into the stored scores of the heap (and the scores of uniform partitions)
+	rebase() {
 
-				chunk.push(index);
-				this.lookups[index * 3] = score;
-			}
+		let { offset, scores } = this;
 
-			// check if chunk is uniform
-			let uniform = chunk.length == this.partitionLength && indexScores[i - 1][1] == indexScores[i - chunk.length][1];
+		++this.version;
 
-			// uniform chunk: add same scoring indices to the same partition
-			if (uniform) {
-				while (i < indexScores.length && indexScores[i][1] == indexScores[i - 1][1]) {
+		for (let partition of this.partitions) {
 
-					let [index, score] = indexScores[i++];
+			let start = partition.uniform ? partition.start : 0;
 
-					chunk.push(index);
-					this.lookups[index * 3] = score;
+			for (let i = start; i < partition.length; ++i) {
+				if (partition.indices[i] >= 0) {
+					scores[partition.indices[i]] += offset;
 				}
 			}
 
-			// update partition id map
-			this.partitionIds[this.nextId] = this.partitions.length;
+			if (partition.uniform) {
+				partition.min += offset;
+			}
+		}
 
-			// add uniform partition (uniform partitions use -1 for removed array elements)
-			if (uniform) {
-				this.partitions.push(new UniformPartition(this.nextId++, this.lookups, new Int32Array(chunk), chunk.length));
+		this.offset = 0;
+	}
 
-			// else, add partition
-			} else {
+	// score without the offset (rebases first if an int32 score would not fit, writes only)
+	storedScore(score) {
 
-				let indices = new Int32Array(this.partitionLength);
-				indices.set(chunk);
+		let stored = score - this.offset;
 
-				this.partitions.push(new Partition(this.nextId++, this.lookups, indices, chunk.length));
-			}
+		if (this.int32 && (stored < INT32_MIN || stored > INT32_MAX)) {
+			this.rebase();
+			return score;
 		}
+
+		return stored;
 	}
 
-	/**
-	 * Get the highest scoring index.
-	 * 
-	 * @returns {number} Index with the highest score in the heap
-	 */
-	next() {
-		if (this.partitions.length) {
+	storedScores(scores) {
 
-			let next = this.partitions[this.partitions.length - 1].next();
+		let { offset } = this;
 
-			// guard loop in if for performance
-			if (next == null) {
+		let stored = Float64Array.from(scores, (score) => score - offset);
 
-				this.partitions.pop();
+		if (this.int32 && stored.some((score) => score < INT32_MIN || score > INT32_MAX)) {
+			this.rebase();
+			return scores;
+		}
 
-				while (this.partitions.length && (next = this.partitions[this.partitions.length - 1].next()) == null) {
-					this.partitions.pop();
-				}
+		return stored;
+	}
+
+	// add delta to a score, following the overflow policy for int32 scores
+	adjustScore(score, delta) {
+
+		score += delta;
+
+		if (this.scores instanceof Int32Array && (score < INT32_MIN || score > INT32_MAX)) {
+			switch (this.overflow) {
+				case 'saturate': return score < INT32_MIN ? INT32_MIN : INT32_MAX;
+				case 'wrap': return score | 0;
+				default: throw new ScoreHeapScoreError(`Score heap score overflowed int32: ${score}`, score);
 			}
+		}
 
-			return next;
+		return score;
+	}
+
+	// throw on the first violation (debug mode)
+	assertValid() {
+
+		let violations = this.validate();
+
+		if (violations.length) {
+			throw new Error(`Invalid score heap (${violations.length} violations): ${violations[0].message}`);
 		}
 	}
 
-	/**
-	 * Remove an index from the heap.
-	 * 
-	 * @param {number} index - Index to remove
-	 * 
-	 * @return {(number|undefined)} The index passed in if successful, else undefined
-	 */
-	remove(index) {
+	// positive if score1 is closer to the top of the heap than score2
+	compareScores(score1, score2) {
 
-		if (this.partitions.length) {
-			
-			let partitionId = this.lookups[(index  * 3) + 1];
+		let result = score1 - score2;
 
-			if (partitionId >= 0) {
+		// NaN scores (ordered below every other score) or matching infinities
+		if (result != result) {
+			result = (score1 == score1) - (score2 == score2);
+		}
+
+		return this.ascending ? -result : result;
+	}
+
+	// compare scores then tiebreaks (tiebreaks are undefined unless enabled)
+	compareKeys(score1, tiebreak1, score2, tiebreak2) {
+		return this.compareScores(score1, score2) || (this.tiebreaks ? this.compareScores(tiebreak1, tiebreak2) : 0);
+	}
+
+	// compare an index with a score and tiebreak to an index in the heap (ties follow the tie policy, the index is new for lifo / fifo)
+	compare(score, tiebreak, index, otherIndex) {
+		return this.compareKeys(score, tiebreak, this.scores[otherIndex], this.tiebreaks?.[otherIndex]) || this.compareTie(index, otherIndex);
+	}
+
+	// compare two indices in the heap (ties ordered by insertion are equal, only their positions tell them apart)
+	compareIndices(index, otherIndex) {
+		return this.compareKeys(this.scores[index], this.tiebreaks?.[index], this.scores[otherIndex], this.tiebreaks?.[otherIndex]) || (this.insertionTies ? 0 : this.compareTie(index, otherIndex));
+	}
+
+	// positive if index is closer to the top than an equal scoring index (a new index is above older ones for lifo, below for fifo)
+	compareTie(index, otherIndex) {
+		switch (this.ties) {
+			case 'lifo': return 1;
+			case 'fifo': return -1;
+			case 'highest': return index - otherIndex;
+			default: return otherIndex - index;
+		}
+	}
+
+	// call fn(partition, start, end) for each partition holding scores between lo and hi, from the top down
+	searchRange(lo, hi, fn) {
+
+		let { partitions, scores } = this;
+
+		// search stored scores
+		let offset = this.scoreOffset();
+
+		lo -= offset;
+		hi -= offset;
+
+		// bounds in heap order
+		let bottom = this.ascending ? hi : lo;
+		let top = this.ascending ? lo : hi;
+
+		if (this.compareScores(bottom, top) > 0) {
+			return;
+		}
 
-				let partitionIndex = this.partitionIds[partitionId];
+		// first partition starting above the range
+		let partitionIndex = searchBinary(partitions.length, (i) => {
+			return this.compareScores(partitions[i].min, top) <= 0 ? 1 : -1;
+		});
 
-				this.partitions[partitionIndex].remove(index);
+		for (let i = partitionIndex - 1; i >= 0 && this.compareScores(partitions[i].max, bottom) >= 0; --i) {
 
-				if (!this.partitions[partitionIndex].length) {
-					this.partitions.splice(partitionIndex, 1);
-					this.reindex(partitionIndex);
+			let partition = partitions[i];
+
+			// uniform partitions are entirely within the range
+			if (partition.uniform) {
+				if (partition.size) {
+					fn(partition, partition.start, partition.length);
 				}
 
-				return index;
+			} else {
+
+				let { indices, length } = partition;
+
+				let start = searchBinary(length, (j) => {
+					return this.compareScores(scores[indices[j]], bottom) < 0 ? 1 : -1;
+				});
+
+				let end = searchBinary(length, (j) => {
+					return this.compareScores(scores[indices[j]], top) <= 0 ? 1 : -1;
+				});
+
+				fn(partition, start, end);
 			}
 		}
 	}
 
-	/**
-	 * Update an index in the heap (index does not have to be in the heap yet).
-	 * 
-	 * @param {number} index - Index to update (or insert)
-	 * @param {number} score - Score of the index (must be an int32)
-	 */
-	update(index, score) {
+	// reallocate scores, tiebreaks and lookups to fit an index (partitions reference them through the heap, so they stay valid)
+	grow(index) {
 
-		let { lookups, partitions, partitionLength, partitionIds } = this;
+		let { growth } = this;
 
-		let currentPartitionId = lookups[(index * 3) + 1];
-		let currentPartitionIndex = currentPartitionId >= 0 ? partitionIds[currentPartitionId] : undefined;
-		let currentPartition = currentPartitionIndex != null ? partitions[currentPartitionIndex] : undefined;
+		let length = this.scores.length;
+		let grownLength = typeof growth == 'function' ? growth(length, index) : Math.ceil(length * growth);
 
-		// check if current partition can handle this internally
-		if (currentPartition && (
-			currentPartition.uniform ? (
-				currentPartition.min == score
-			) : (
-				partitions.length == 1 || (
-					currentPartition.min <= score && (
-						currentPartitionIndex == partitions.length - 1 ||
-						partitions[currentPartitionIndex + 1].min > score
-					)
-				)
-			)
-		)) {
+		// checked before any memory is replaced
+		if (!Number.isInteger(grownLength)) {
+			throw new Error(`Invalid score heap growth length: ${grownLength}`);
+		}
 
-			currentPartition.update(index, score);
+		length = Math.max(index + 1, grownLength);
 
-			// update lookup score (must be done after update)
-			lookups[index * 3] = score;
+		let scores = this.allocate(this.scores.constructor, length);
+		let lookups = this.allocate(Int32Array, length * 2);
 
-		// remove / add index
-		} else {
+		scores.set(this.scores);
 
-			// remove
-			if (currentPartition) {
+		lookups.fill(-1);
+		lookups.set(this.lookups);
 
-				currentPartition.remove(index);
+		if (this.tiebreaks) {
 
-				if (!currentPartition.length) {
+			let tiebreaks = this.allocate(Float64Array, length);
+			tiebreaks.set(this.tiebreaks);
 
-					partitions.splice(currentPartitionIndex, 1);
-					this.reindex(currentPartitionIndex);
+			this.tiebreaks = tiebreaks;
+		}
 
-					// maybe join newly adjacent partitions
-					this.joinPartitions(currentPartitionIndex - 1);
+		this.scores = scores;
+		this.lookups = lookups;
+
+		// shared readers hold the old memory, so they need a new view
+		if (this.shared) {
+			Atomics.add(this.header, SHARED_GENERATION, 1);
+		}
+	}
+
+	// partition indices (in insertion order) from scratch, replacing any partitions (scores and tiebreaks must already be set)
+	build(indices) {
+		this.buildSorted(this.sortIndices(indices));
+	}
+
+	// partition indices already in heap order from scratch (full partitions, uniform where possible)
+	buildSorted(sortedIndices) {
+
+		let { length } = sortedIndices;
+
+		this.partitions = [];
+		this.partitionIds = {};
+		this.counts.invalidate();
+
+		this.indexCount = length;
+
+		// compute partition length
+		this.partitionLength = Math.min(
+			MAX_SECTOR_LENGTH,
+			Math.max(
+				MIN_SECTOR_LENGTH,
+				2 ** Math.floor(Math.log2(length / TARGET_SECTOR_LENGTH))
+			)
+		);
+
+		for (let i = 0; i < length;) {
+
+			let start = i;
+
+			i = Math.min(length, i + this.partitionLength);
+
+			let first = sortedIndices[start];
+			let last = sortedIndices[i - 1];
+
+			// check if chunk is uniform
+			let uniform = this.insertionTies && i - start == this.partitionLength && this.compareIndices(last, first) == 0;
+
+			// uniform chunk: add same scoring indices to the same partition
+			if (uniform) {
+				while (i < length && this.compareIndices(sortedIndices[i], last) == 0) {
+					++i;
 				}
 			}
 
-			// update lookup score (must be done before insertion)
-			lookups[index * 3] = score;
+			// update partition id map
+			this.partitionIds[this.nextId] = this.partitions.length;
 
-			// no partitions, add to new one
-			if (!partitions.length) {
+			// add uniform partition (uniform partitions use -1 for removed array elements)
+			if (uniform) {
+				this.partitions.push(new UniformPartition(this.nextId++, this, sortedIndices.slice(start, i), i - start));
 
-				let partitionIndices = new Int32Array(partitionLength);
-				partitionIndices[0] = index;
+			// else, add partition
+			} else {
 
-				this.insertPartition(0, partitionIndices, 1);
+				let partitionIndices = new Int32Array(this.partitionLength);
+				partitionIndices.set(sortedIndices.subarray(start, i));
 
-			// find new partition and remove / add
-			} else {
+				this.partitions.push(new Partition(this.nextId++, this, partitionIndices, i - start));
+			}
+		}
+	}
 
-				// find new partition
-				let partitionIndex = searchBinary(partitions.length, (i) => {
+	// sort indices (in insertion order) into heap order with a radix sort (scores and tiebreaks must already be set)
+	sortIndices(indices) {
 
-					// score is higher or equal to, prefer highest-ordered eligible partition
-					if (partitions[i].min <= score) {
-						if (i == partitions.length - 1 || partitions[i + 1].min > score) {
-							return 0;
-						} else {
-							return 1;
-						}
+		let { length } = indices;
 
-					// score is lower, but already at first index
-					} else if (i == 0) {
-						return 0;
-					
-					// score is lower than partition min
-					} else {
-						return -1;
-					}
-				});
+		let scores = new this.scores.constructor(length);
+		let tiebreaks = this.tiebreaks ? new Float64Array(length) : undefined;
 
-				let partition = partitions[partitionIndex];
-				let partitionMax = partition.max;
+		for (let i = 0; i < length; ++i) {
 
-				let lowerPartition = partitionIndex > 0 ? partitions[partitionIndex - 1] : undefined;
-				let upperPartition = partitionIndex < partitions.length - 1 ? partitions[partitionIndex + 1] : undefined;
+			scores[i] = this.scores[indices[i]];
 
-				// TODO : optimize the conditions below
+			if (tiebreaks) {
+				tiebreaks[i] = this.tiebreaks[indices[i]];
+			}
+		}
 
-				// best case: uniform partition with matching score
-				if (partition.uniform && partition.min == score) {
-					partition.insert(index, score);
+		// sort keys, most significant first (ascending heaps sort in reverse, ties by index follow the tie policy)
+		let keys = radixKeys(scores, this.ascending);
 
-				// 2: lower partition is uniform with matching score (upper partition can never be uniform and eligible)
-				} else if (lowerPartition && lowerPartition.uniform && lowerPartition.min == score) {
-					lowerPartition.insert(index, score);
+		if (tiebreaks) {
+			keys.push(...radixKeys(tiebreaks, this.ascending));
+		}
 
-				// 3: partition has room and score is at the end
-				} else if (!partition.uniform && partition.length < partitionLength && score > partitionMax) {
-					partition.insert(index, score, partition.length);
+		if (!this.insertionTies) {
+			keys.push(...radixKeys(indices, this.ties == 'lowest'));
+		}
 
-				// 4: lower partition has room and score at the end
-				} else if (false && (lowerPartition && !lowerPartition.uniform && lowerPartition.length < partitionLength && partition.min == score)){
-					lowerPartition.insert(index, score, lowerPartition.length);
+		// the first index is inserted first (sort is stable, so fifo reverses it)
+		let positions = new Int32Array(length);
 
-				// 5: partition is full or non-matching uniform, but upper partition can take the index
-				 } else if (
-					((partition.uniform || partition.length == partitionLength) && score >= partitionMax) &&
-					(upperPartition && !upperPartition.uniform && upperPartition.length < partitionLength)
-				) {
-					upperPartition.insert(index, score, 0);
+		for (let i = 0; i < length; ++i) {
+			positions[i] = this.ties == 'fifo' ? length - 1 - i : i;
+		}
 
-				// 6: partition is full or non-matching uniform, but lower partition can take the index
-				 } else if (
-					((partition.uniform || partition.length == partitionLength) && score == partition.min) && (
-						lowerPartition && !lowerPartition.uniform &&
-						(lowerPartition.length < partitionLength || (score == lowerPartition.min && lowerPartition.min == lowerPartition.max))
-					)
-				) {
+		positions = sortRadix(positions, keys);
 
-					// simple insert
-					if (lowerPartition.length < partitionLength) {
-						lowerPartition.insert(index, score);
+		let sortedIndices = new Int32Array(length);
 
-					// full, but can be converted to uniform partiion
-					} else {
-						partitions[partitionIndex - 1] = new UniformPartition(lowerPartition.id, lookups, lowerPartition.indices, lowerPartition.length);
-						partitions[partitionIndex - 1].insert(index, score);
-					}
+		for (let i = 0; i < length; ++i) {
+			sortedIndices[i] = indices[positions[i]];
+		}
 
-				// 7: partition is uniform but ineligible, insert new partition
-				} else if (partition.uniform) {
+		return sortedIndices;
+	}
 
-					let partitionIndices = new Int32Array(partitionLength);
-					partitionIndices[0] = index;
+	// insert indices (in insertion order, not in the heap, scores and tiebreaks set) with one pass over the partitions
+	merge(indices) {
 
-					this.insertPartition(score > partition.min ? partitionIndex + 1 : partitionIndex, partitionIndices, 1);
+		let { partitions, scores, tiebreaks } = this;
 
-				// 8: simple insert (TODO: find best insert case maybe) (TODO: order this before 6?)
-				} else if (partition.length < partitionLength) {
-					partition.insert(index, score);
+		let sortedIndices = this.sortIndices(indices);
+		let merged = [];
 
-				// 9: partition is full but can be converted to uniform partition
-				} else if (score == partition.min && partition.min == partitionMax) {
-					partitions[partitionIndex] = new UniformPartition(partition.id, lookups, partition.indices, partition.length);
-					partitions[partitionIndex].insert(index, score);
+		// partitions gain indices out of order, so prefix counts are rebuilt after
+		this.counts.invalidate();
 
-				// 10: partition is full, split
-				} else {
+		if (!partitions.length) {
+			this.chunkPartitions(sortedIndices, merged);
+		}
 
-					let newPartition = this.insertPartition(partitionIndex + 1, partition.split(), partitionLength / 2);
+		for (let p = 0, i = 0; p < partitions.length; ++p) {
 
-					if (newPartition.min > score) {
-						partition.insert(index, score);
-					} else {
-						newPartition.insert(index, score);
-					}
+			let partition = partitions[p];
+			let upperPartition = partitions[p + 1];
+
+			// run of indices below the upper partition (the top partition takes the rest)
+			let start = i;
+
+			while (i < sortedIndices.length && (!upperPartition || upperPartition.compareMin(scores[sortedIndices[i]], tiebreaks?.[sortedIndices[i]], sortedIndices[i]) < 0)) {
+				++i;
+			}
+
+			let run = sortedIndices.subarray(start, i);
+
+			if (!run.length) {
+				merged.push(partition);
+
+			// uniform partitions take matching indices, others go to new partitions below (first partition only) and above
+			} else if (partition.uniform) {
+
+				let below = 0;
+				let matching = 0;
+
+				while (below < run.length && partition.compareMin(scores[run[below]], tiebreaks?.[run[below]], run[below]) < 0) {
+					++below;
+				}
+
+				while (below + matching < run.length && this.compareKeys(scores[run[below + matching]], tiebreaks?.[run[below + matching]], partition.min, partition.minTiebreak) == 0) {
+					partition.insert(run[below + matching++]);
 				}
+
+				this.chunkPartitions(run.subarray(0, below), merged);
+				merged.push(partition);
+				this.chunkPartitions(run.subarray(below + matching), merged);
+
+			// merge into the partition if it fits
+			} else if (partition.length + run.length <= this.partitionLength) {
+
+				partition.merge(run);
+
+				merged.push(partition);
+
+			// else, merge into new partitions
+			} else {
+
+				let partitionIndices = partition.indices.subarray(0, partition.length);
+
+				this.chunkPartitions(interleaveArrays(
+					new Int32Array(partitionIndices.length + run.length),
+					partitionIndices,
+					run,
+					(a, b) => this.compare(scores[run[b]], tiebreaks?.[run[b]], run[b], partitionIndices[a])
+				), merged);
 			}
 		}
+
+		this.partitions = merged;
+		this.reindex(0);
 	}
 
-	/* internal */
+	// indices in heap order from the bottom up (insertion order for lifo, reversed for fifo)
+	liveIndices() {
+
+		this.validateCounts();
 
-	// TODO
-	audit() {
-		/*
-		for (let i = 0; i < this.partitions.length - 1; ++i) {
-			if (this.partitions[i].max > this.partitions[i + 1].min) {
-				console.log(i, this.partitions[i].id, this);
-				throw new Error('Misindexed partition in score heap');
+		let indices = new Int32Array(this.counts.total);
+
+		for (let i = 0, k = 0; i < this.partitions.length; ++i) {
+
+			let partition = this.partitions[i];
+
+			for (let j = partition.uniform ? partition.start : 0; j < partition.length; ++j) {
+				if (partition.indices[j] >= 0) {
+					indices[k++] = partition.indices[j];
+				}
 			}
 		}
-		*/
+
+		return indices;
+	}
+
+	// add sorted indices to half full partitions (like a split leaves them)
+	chunkPartitions(indices, partitions) {
+		for (let i = 0; i < indices.length; i += this.partitionLength / 2) {
+
+			let chunk = indices.subarray(i, i + (this.partitionLength / 2));
+
+			let partitionIndices = new Int32Array(this.partitionLength);
+			partitionIndices.set(chunk);
+
+			partitions.push(new Partition(this.nextId++, this, partitionIndices, chunk.length));
+
+			++this.counters.partitionInserts;
+		}
 	}
 
 	insertPartition(index, indices, length) {
 
-		let partition = new Partition(this.nextId, this.lookups, indices, length);
+		++this.counters.partitionInserts;
+
+		let partition = new Partition(this.nextId, this, indices, length);
 
 		this.partitionIds[this.nextId++] = index;
 		this.partitions.splice(index, 0, partition);
@@ -343,7 +2458,9 @@ export default class ScoreHeap {
 			let partition2 = this.partitions[index + 1];
 
 			// join on uniform
-			if (partition1.min == partition2.max) {
+			if (this.insertionTies && this.compareKeys(partition1.min, partition1.minTiebreak, partition2.max, partition2.maxTiebreak) == 0) {
+
+				++this.counters.joins;
 
 				// prefer join on lower partition
 				if (partition1.uniform) {
@@ -356,7 +2473,7 @@ export default class ScoreHeap {
 				// defer to join on upper partition
 				} else if (partition2.uniform) {
 
-					partition2.join(partition1);
+					partition2.join(partition1, true);
 
 					this.partitions.splice(index, 1);
 					this.reindex(index);
@@ -364,20 +2481,24 @@ export default class ScoreHeap {
 				// neither are uniform, make a new uniform partition
 				} else {
 
+					++this.counters.uniformConversions;
+
 					let partitionIndices = new Int32Array(partition1.length + partition2.length);
 
 					partitionIndices.set(partition1.indices.subarray(0, partition1.length));
 					partitionIndices.set(partition2.indices.subarray(0, partition2.length), partition1.length);
 
 					this.partitionIds[this.nextId] = index;
-					this.partitions.splice(index, 2, new UniformPartition(this.nextId++, this.lookups, partitionIndices, partitionIndices.length));
+					this.partitions.splice(index, 2, new UniformPartition(this.nextId++, this, partitionIndices, partitionIndices.length));
 
 					this.reindex(index + 1);
 				}
 
 			// join partitions if sum length is less than max length
 			} else if (!partition1.uniform && !partition2.uniform && partition1.length + partition2.length <= this.partitionLength) {
-	
+
+				++this.counters.joins;
+
 				partition1.join(partition2);
 
 				this.partitions.splice(index + 1, 1);
@@ -386,7 +2507,22 @@ export default class ScoreHeap {
 		}
 	}
 
+	// keep prefix counts current when a partition gains or loses indices
+	resize(partition, delta) {
+		this.counts.add(this.partitionIds[partition.id], delta);
+	}
+
+	validateCounts() {
+		if (!this.counts.valid) {
+			this.counts.build(this.partitions);
+		}
+	}
+
 	reindex(index) {
+
+		// partitions have moved, so prefix counts need a rebuild
+		this.counts.invalidate();
+
 		for (let i = index; i < this.partitions.length; ++i) {
 			this.partitionIds[this.partitions[i].id] = i;
 		}
@@ -0,0 +1,90 @@
+// shared header: sequence (odd while the heap is being written), top index (-1 if empty), generation (incremented when memory is reallocated)
+export const SHARED_SEQUENCE =       0;
+export const SHARED_TOP =            1;
+export const SHARED_GENERATION =     2;
+export const SHARED_HEADER_LENGTH =  4;
+
+/**
+ * A read-only view of a shared ScoreHeap for other threads.
+ * Reads retry while the owning thread is writing (a sequence lock), so they never see a partial update.
+ * Memory is reallocated when the heap grows, after which the view throws and a new one is needed.
+ */
+export default class ScoreHeapView {
+
+	/**
+	 * @constructs ScoreHeapView
+	 *
+	 * @param {Object} shared - Shared memory of a heap from ScoreHeap.share() (can be passed to a worker with postMessage)
+	 */
+	constructor(shared) {
+		this.header = shared.header;
+		this.scores = shared.scores;
+		this.lookups = shared.lookups;
+		this.generation = shared.generation;
+
+		// added to every score (as of the last write)
+		this.offset = shared.offset;
+	}
+
+	/**
+	 * Get the highest scoring index (lowest if the heap is ascending).
+	 *
+	 * @returns {(number|undefined)} Index with the highest score in the heap, else undefined if the heap is empty
+	 */
+	next() {
+		return this.read(() => {
+
+			let next = this.header[SHARED_TOP];
+
+			return next >= 0 ? next : undefined;
+		});
+	}
+
+	/**
+	 * Check if an index is in the heap.
+	 *
+	 * @param {number} index - Index to check
+	 *
+	 * @returns {boolean} True if the index is in the heap
+	 */
+	has(index) {
+		return this.read(() => this.lookups[index * 2] >= 0);
+	}
+
+	/**
+	 * Get the score of an index.
+	 *
+	 * @param {number} index - Index to get the score of
+	 *
+	 * @returns {(number|undefined)} Score of the index, else undefined if not in the heap
+	 */
+	getScore(index) {
+		return this.read(() => this.lookups[index * 2] >= 0 ? this.scores[index] + this.offset[0] : undefined);
+	}
+
+	/* internal */
+
+	// run fn until it completes without a write starting or finishing
+	read(fn) {
+
+		let { header } = this;
+
+		for (;;) {
+
+			let sequence = Atomics.load(header, SHARED_SEQUENCE);
+
+			if (!(sequence & 1)) {
+
+				if (Atomics.load(header, SHARED_GENERATION) != this.generation) {
+					throw new Error('ScoreHeap has grown since this view was made, make a new one from ScoreHeap.share()');
+				}
+
+				let result = fn();
+
+				if (Atomics.load(header, SHARED_SEQUENCE) == sequence) {
+					return result;
+				}
+			}
+		}
+	}
+}
\ No newline at end of file
@@ -1,112 +1,304 @@
 /**
- * An array to handle scores within a fixed range (all scores are equal).
+ * An array to handle scores within a fixed range (all scores and tiebreaks are equal).
+ * Indices are kept in insertion order, new indices are added to the top (lifo) or the bottom (fifo).
  * Can be resized (doubles each time), but cannot shrink.
- * All removed indices are marked -1 and cleaned up while fetching the next (top) index.
+ * All removed indices are marked -1 and cleaned up while fetching the next (top or bottom) index.
  */
 export default class UniformPartition {
 
 	uniform = true;
 
+	// first array element that may hold an index (elements before are free, or were removed from the bottom)
+	start = 0;
+
 	get max() {
 		return this.min;
 	}
 
-	constructor(id, lookups, indices, length) {
+	get maxTiebreak() {
+		return this.minTiebreak;
+	}
+
+	constructor(id, heap, indices, length) {
+
+		let { lookups, scores, tiebreaks } = heap;
 
 		this.id = id;
-		this.lookups = lookups;
+		this.heap = heap;
 		this.indices = indices;
 		this.length = length;
 
-		this.min = lookups[indices[0] * 3];
+		// number of indices not marked as removed
+		this.size = length;
+
+		this.min = scores[indices[0]];
+		this.minTiebreak = tiebreaks?.[indices[0]];
 
 		for (let i = 0; i < length; ++i) {
 
-			let index = indices[i] * 3;
+			let index = indices[i] * 2;
 
 			// set id / index
-			lookups[index + 1] = this.id;
-			lookups[index + 2] = i;
+			lookups[index] = this.id;
+			lookups[index + 1] = i;
 		}
 	}
 
 	insert(index) {
 
-		this.lookups[(index * 3) + 1] = this.id;
+		let { lookups } = this.heap;
 
-		// expand the array if full
-		if (this.indices.length == this.length) {
+		lookups[index * 2] = this.id;
 
-			let expandedIndices = new Int32Array(this.length * 2);
-			expandedIndices.set(this.indices);
+		// first in, first out: add to the bottom (make room below if needed)
+		if (this.heap.ties == 'fifo') {
 
-			this.indices = expandedIndices;
+			if (!this.start) {
+				this.expandBottom(1);
+			}
+
+			// set lookup reference and add index
+			lookups[(index * 2) + 1] = --this.start;
+			this.indices[this.start] = index;
+
+		// else, add to the top
+		} else {
+
+			// expand the array if full
+			if (this.indices.length == this.length) {
+
+				let expandedIndices = new Int32Array(this.length * 2);
+				expandedIndices.set(this.indices);
+
+				this.indices = expandedIndices;
+			}
+
+			// set lookup reference and add index
+			lookups[(index * 2) + 1] = this.length;
+			this.indices[this.length++] = index;
 		}
 
-		// set lookup reference and add index
-		this.lookups[(index * 3) + 2] = this.length;
-		this.indices[this.length++] = index;
+		++this.size;
+
+		this.heap.resize(this, 1);
 	}
 
-	join(partition) {
+	// join a partition from above (or from below)
+	join(partition, below = false) {
 
-		// expand indices if needed
-		if (this.length + partition.length > this.indices.length) {
+		// skip indices removed from the bottom of uniform partitions
+		let partitionStart = partition.uniform ? partition.start : 0;
+		let partitionLength = partition.length - partitionStart;
 
-			let expandedIndices = new Int32Array(this.length + partition.length);
+		// expand indices if needed (below start, or past length)
+		if (below) {
+			if (this.start < partitionLength) {
+				this.expandBottom(partitionLength);
+			}
+
+		} else if (this.length + partitionLength > this.indices.length) {
+
+			let expandedIndices = new Int32Array(this.length + partitionLength);
 			expandedIndices.set(this.indices);
 
 			this.indices = expandedIndices;
 		}
 
-		let { id, indices, length, lookups } = this;
+		let { id, indices } = this;
+		let { lookups } = this.heap;
+
+		let offset = below ? this.start - partitionLength : this.length;
 
-		indices.set(partition.indices.subarray(0, partition.length), length);
+		indices.set(partition.indices.subarray(partitionStart, partition.length), offset);
 
-		for (let i = length, n = partition.length + length; i < n; ++i) {
+		for (let i = offset, n = partitionLength + offset; i < n; ++i) {
 			if (indices[i] >= 0) {
-				lookups[(indices[i] * 3) + 1] = id;
-				lookups[(indices[i] * 3) + 2] = i;
+				lookups[indices[i] * 2] = id;
+				lookups[(indices[i] * 2) + 1] = i;
 			}
 		}
 
-		this.length += partition.length;
+		if (below) {
+			this.start -= partitionLength;
+		} else {
+			this.length += partitionLength;
+		}
+
+		this.size += partition.size;
 	}
 
 	next() {
-		if (this.length) {
+		if (this.length > this.start) {
 
 			// get next available index
 			if (this.indices[this.length - 1] < 0) {
 				let { indices } = this;
-				while (--this.length > 0 && indices[this.length - 1] < 0) {}
+				while (--this.length > this.start && indices[this.length - 1] < 0) {}
 			}
 
 			// return next
-			if (this.length) {
+			if (this.length > this.start) {
 				return this.indices[this.length - 1];
 
 			// clear out array	
 			} else {
-				this.indices = new Int32Array(1);
+				this.clear();
+			}
+		}
+	}
+
+	nextMin() {
+		if (this.length > this.start) {
+
+			// get next available index from the bottom
+			if (this.indices[this.start] < 0) {
+				let { indices } = this;
+				while (++this.start < this.length && indices[this.start] < 0) {}
+			}
+
+			// return next
+			if (this.length > this.start) {
+				return this.indices[this.start];
+
+			// clear out array
+			} else {
+				this.clear();
+			}
+		}
+	}
+
+	// compare an index with a score and tiebreak to the bottom (or top) index (a new index is above equal ones for lifo, below for fifo)
+	compareMin(score, tiebreak, index) {
+		return this.heap.compareKeys(score, tiebreak, this.min, this.minTiebreak) || this.heap.compareTie(index);
+	}
+
+	compareMax(score, tiebreak, index) {
+		return this.compareMin(score, tiebreak, index);
+	}
+
+	// index at a rank counted down from the top (skips removed indices)
+	at(rank) {
+
+		let { indices } = this;
+
+		for (let i = this.length - 1; i >= this.start; --i) {
+			if (indices[i] >= 0 && rank-- == 0) {
+				return indices[i];
+			}
+		}
+	}
+
+	// number of indices above an index
+	rank(index) {
+
+		let { indices } = this;
+
+		let rank = 0;
+
+		for (let i = this.heap.lookups[(index * 2) + 1] + 1; i < this.length; ++i) {
+			if (indices[i] >= 0) {
+				++rank;
+			}
+		}
+
+		return rank;
+	}
+
+	// remove up to count indices from the top into result, returns the number removed
+	popTop(count, result, offset) {
+
+		let { indices } = this;
+		let { lookups } = this.heap;
+
+		let popped = 0;
+
+		while (popped < count && this.length > this.start) {
+
+			let index = indices[--this.length];
+
+			if (index >= 0) {
+
+				result[offset + popped++] = index;
+
+				lookups[index * 2] = -1;
+				lookups[(index * 2) + 1] = -1;
+			}
+		}
+
+		this.size -= popped;
+
+		this.heap.resize(this, -popped);
+
+		// clear out array
+		if (this.length == this.start) {
+			this.clear();
+		}
+
+		return popped;
+	}
+
+	*keys() {
+		for (let i = this.length - 1; i >= this.start; --i) {
+
+			// skip removed indices (the array may also be trimmed by next() or nextMin() while iterating)
+			if (i < this.length && this.indices[i] >= 0) {
+				yield this.indices[i];
 			}
 		}
 	}
 
 	remove(index) {
 
-		let partitionIndex = this.lookups[(index * 3) + 2];
+		let { lookups } = this.heap;
+
+		let partitionIndex = lookups[(index * 2) + 1];
 
 		// remove from list (array never reorders or shrinks)
 		this.indices[partitionIndex] = -1;
 
+		--this.size;
+
+		this.heap.resize(this, -1);
+
 		// clear id / partition index
-		this.lookups[(index * 3) + 1] = -1;
-		this.lookups[(index * 3) + 2] = -1;
+		lookups[index * 2] = -1;
+		lookups[(index * 2) + 1] = -1;
 
 		return index;
 	}
 
 	// noop
 	update() {}
+
+	// internal
+
+	// move indices up to make room for count indices below start (positions change, so lookups are reset)
+	expandBottom(count) {
+
+		let { id, indices, length, start } = this;
+		let { lookups } = this.heap;
+
+		let offset = Math.max(count, length - start);
+		let expandedIndices = new Int32Array(offset + indices.length - start);
+
+		expandedIndices.set(indices.subarray(start), offset);
+
+		for (let i = offset, n = offset + length - start; i < n; ++i) {
+			if (expandedIndices[i] >= 0) {
+				lookups[expandedIndices[i] * 2] = id;
+				lookups[(expandedIndices[i] * 2) + 1] = i;
+			}
+		}
+
+		this.indices = expandedIndices;
+		this.length = offset + length - start;
+		this.start = offset;
+	}
+
+	clear() {
+		this.indices = new Int32Array(1);
+		this.length = 0;
+		this.start = 0;
+		this.size = 0;
+	}
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Thrown for an index that cannot be in a heap (not an integer from 0 to the int32 maximum), or that must be in the heap but is not (strict mode).
+ * A duplicate index in the constructor input is always rejected.
+ */
+export class ScoreHeapIndexError extends RangeError {
+
+	constructor(message, index) {
+
+		super(message);
+
+		this.name = 'ScoreHeapIndexError';
+		this.index = index;
+	}
+}
+
+/**
+ * Thrown for a score the heap cannot hold (an int32 heap needs integers in the int32 range, a float64 heap needs numbers), strict mode only.
+ * Tiebreaks and adjust() deltas are checked the same way.
+ */
+export class ScoreHeapScoreError extends RangeError {
+
+	constructor(message, score) {
+
+		super(message);
+
+		this.name = 'ScoreHeapScoreError';
+		this.score = score;
+	}
+}
\ No newline at end of file
@@ -0,0 +1,13 @@
+import KeyedScoreHeap from './KeyedScoreHeap';
+import MultiScoreHeap from './MultiScoreHeap';
+import ScoreHeap from './ScoreHeap';
+
+// containers built on ScoreHeap are attached here, as ScoreHeap cannot import them without a circular dependency
+
+// heap of arbitrary keys (assigned dense indices internally)
+ScoreHeap.Keyed = KeyedScoreHeap;
+
+// named queues sharing one index space
+ScoreHeap.Multi = MultiScoreHeap;
+
+export default ScoreHeap;
\ No newline at end of file
@@ -45,4 +45,109 @@ export function interleaveArrays(dest, src1, src2, fn) {
 	}
 
 	return dest;
+}
+
+// 32 bit FNV-1a hash over int32 words (used as a checksum), continuing from a previous hash if given
+export function hashWords(words, hash = 0x811c9dc5) {
+	for (let i = 0; i < words.length; ++i) {
+		hash = Math.imul(hash ^ words[i], 0x01000193);
+	}
+
+	return hash >>> 0;
+}
+
+// order preserving uint32 keys of int32 or float64 values, most significant first (NaN is lowest, -0 equals 0), inverted to order in reverse
+export function radixKeys(values, invert) {
+
+	let length = values.length;
+	let flip = invert ? 0xffffffff : 0;
+
+	// int32 keys: flip the sign bit
+	if (values instanceof Int32Array) {
+
+		let keys = new Uint32Array(length);
+
+		for (let i = 0; i < length; ++i) {
+			keys[i] = values[i] ^ 0x80000000 ^ flip;
+		}
+
+		return [keys];
+	}
+
+	// float64 keys (high and low words): flip the sign bit of positive values and every bit of negative values
+	let words = new Uint32Array(Float64Array.from(values).buffer);
+
+	let high = new Uint32Array(length);
+	let low = new Uint32Array(length);
+
+	for (let i = 0; i < length; ++i) {
+
+		let value = values[i];
+
+		let highWord = words[(i * 2) + 1];
+		let lowWord = words[i * 2];
+
+		if (value != value) {
+			highWord = 0;
+			lowWord = 0;
+		} else if (value == 0) {
+			highWord = 0x80000000;
+			lowWord = 0;
+		} else if (value < 0) {
+			highWord = ~highWord;
+			lowWord = ~lowWord;
+		} else {
+			highWord |= 0x80000000;
+		}
+
+		high[i] = highWord ^ flip;
+		low[i] = lowWord ^ flip;
+	}
+
+	return [high, low];
+}
+
+// stable LSD radix sort of positions by uint32 keys (most significant first, indexed by position), returns the sorted positions
+export function sortRadix(positions, keys) {
+
+	let length = positions.length;
+
+	let sorted = new Int32Array(length);
+	let counts = new Int32Array(256);
+
+	for (let k = keys.length - 1; k >= 0; --k) {
+
+		let key = keys[k];
+
+		for (let shift = 0; shift < 32; shift += 8) {
+
+			counts.fill(0);
+
+			for (let i = 0; i < length; ++i) {
+				++counts[(key[positions[i]] >>> shift) & 0xff];
+			}
+
+			// skip a digit that is the same for every key
+			if (counts[(key[positions[0]] >>> shift) & 0xff] == length) {
+				continue;
+			}
+
+			// counts to offsets
+			for (let i = 0, offset = 0; i < 256; ++i) {
+
+				let count = counts[i];
+
+				counts[i] = offset;
+				offset += count;
+			}
+
+			for (let i = 0; i < length; ++i) {
+				sorted[counts[(key[positions[i]] >>> shift) & 0xff]++] = positions[i];
+			}
+
+			[positions, sorted] = [sorted, positions];
+		}
+	}
+
+	return positions;
 }
\ No newline at end of file